@@ -0,0 +1,35 @@
+// pages/api/alerts/log.js
+// GET /api/alerts/log?limit=100 → { log } – every delivery attempt, newest
+// first (lib/delivery.js). Needs `Authorization: Bearer $GLASSBOX_ADMIN_TOKEN`.
+
+import { getDeliveryLog } from "../../lib/delivery.js";
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+    const token = process.env.GLASSBOX_ADMIN_TOKEN;
+    if (!token) {
+      return res.status(503).json({ error: "Alert rules are off (set GLASSBOX_ADMIN_TOKEN)" });
+    }
+    if (req.headers?.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT)
+    );
+    return res.status(200).json({ log: await getDeliveryLog(limit) });
+  } catch (err) {
+    console.error("GlassBox /api/alerts/log error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
@@ -0,0 +1,29 @@
+// pages/api/alerts/retry.js
+// GET|POST /api/alerts/retry → retries alert deliveries whose backoff is
+// over (lib/delivery.js) → { retried, delivered, failed, pending }.
+// Run every minute by the cron in vercel.json with
+// `Authorization: Bearer $CRON_SECRET`; refused while CRON_SECRET is unset.
+
+import { retryPendingDeliveries } from "../../lib/delivery.js";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+      return res.status(500).json({ error: "CRON_SECRET missing in env" });
+    }
+    if (req.headers?.authorization !== `Bearer ${secret}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    return res.status(200).json(await retryPendingDeliveries());
+  } catch (err) {
+    console.error("GlassBox /api/alerts/retry error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
@@ -0,0 +1,60 @@
+// pages/api/alerts/rules.js
+// Alert rules checked after every scan (lib/alert-rules.js). Team-only:
+// every call needs `Authorization: Bearer $GLASSBOX_ADMIN_TOKEN`.
+// - GET    /api/alerts/rules            → { rules } (destinations without secrets)
+// - POST   /api/alerts/rules { name?, when, mints?, destination, cooldownMinutes? }
+//          → { rule } – a webhook's signing `secret` is only returned here
+// - DELETE /api/alerts/rules?id=<id>
+
+import { addRule, listRules, publicRule, removeRule } from "../../lib/alert-rules.js";
+
+function readBody(body) {
+  if (typeof body !== "string") return body || null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+export default async function handler(req, res) {
+  try {
+    const token = process.env.GLASSBOX_ADMIN_TOKEN;
+    if (!token) {
+      return res.status(503).json({ error: "Alert rules are off (set GLASSBOX_ADMIN_TOKEN)" });
+    }
+    if (req.headers?.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    if (req.method === "GET") {
+      const rules = await listRules();
+      return res.status(200).json({ rules: rules.map((r) => publicRule(r)) });
+    }
+
+    if (req.method === "POST") {
+      const body = readBody(req.body);
+      if (!body) return res.status(400).json({ error: "Body must be a JSON rule" });
+      const rule = await addRule(body);
+      return res.status(201).json({ rule: publicRule(rule, { withSecret: true }) });
+    }
+
+    if (req.method === "DELETE") {
+      const id = (req.query.id || "").trim();
+      if (!id) return res.status(400).json({ error: "Missing id param" });
+      if (!(await removeRule(id))) return res.status(404).json({ error: "Rule not found" });
+      return res.status(200).json({ removed: id });
+    }
+
+    res.setHeader("Allow", "GET, POST, DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("GlassBox /api/alerts/rules error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
@@ -0,0 +1,74 @@
+// pages/api/check/batch.js
+// POST /api/check/batch  { "mints": ["<mint>", ...], "fresh": false, "profile": "default" }
+// → { results: { [mint]: <same JSON as /api/check> },
+//     errors:  { [mint]: { status, error } } }
+// Scanning itself lives in lib/batch.js (shared with /api/wallet).
+
+import { scanMints } from "../../lib/batch.js";
+import { getScoringProfile } from "../../lib/profiles.js";
+import { getDataProviders } from "../../lib/providers/index.js";
+
+const MAX_BATCH_MINTS = 50;
+
+function readBody(body) {
+  if (typeof body !== "string") return body || null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+function readMints(body) {
+  if (!body || !Array.isArray(body.mints)) return null;
+  const mints = body.mints
+    .filter((m) => typeof m === "string")
+    .map((m) => m.trim())
+    .filter(Boolean);
+  return [...new Set(mints)];
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const body = readBody(req.body);
+    const mints = readMints(body);
+    const fresh =
+      body?.fresh === true || req.query?.fresh === "1" || req.query?.fresh === "true";
+    const profile = body?.profile || req.query?.profile || undefined;
+    if (!mints || !mints.length) {
+      return res
+        .status(400)
+        .json({ error: 'Body must be JSON like { "mints": ["<mint>", ...] }' });
+    }
+    if (mints.length > MAX_BATCH_MINTS) {
+      return res
+        .status(400)
+        .json({ error: `Too many mints (max ${MAX_BATCH_MINTS} per batch)` });
+    }
+    try {
+      getDataProviders();
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+    // fail the whole batch once instead of once per mint
+    try {
+      getScoringProfile(profile);
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: e.message });
+    }
+
+    const { results, errors } = await scanMints(mints, { fresh, profile });
+
+    return res.status(200).json({ results, errors });
+  } catch (err) {
+    console.error("GlassBox /api/check/batch error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
@@ -0,0 +1,65 @@
+// pages/api/check/stream.js
+// GET /api/check/stream?mint=<address> → the /api/check scan as NDJSON,
+// one line per block as soon as it is ready:
+//   { "type": "section", "name": "tokenMeta", "data": { ... } }
+//   { "type": "error", "name": "tokenMeta", "error": "..." }  block fell back
+//   { "type": "done" }
+// Same query params as /api/check (&fresh=1, &profile=...). Problems found
+// before the first block (bad mint, bad profile) are a plain JSON error with
+// a status code; a failure mid-scan is a last { "type": "error", status } line.
+
+import { dispatchScanAlertsSafe } from "../../lib/alert-rules.js";
+import { recordSnapshotSafe } from "../../lib/history.js";
+import { getDataProviders } from "../../lib/providers/index.js";
+import { scanMint } from "../../lib/scan.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const mint = (req.query.mint || "").trim();
+  if (!mint) return res.status(400).json({ error: "Missing mint param" });
+  try {
+    getDataProviders();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+
+  const fresh = req.query.fresh === "1" || req.query.fresh === "true";
+  const profile = (req.query.profile || "").trim() || undefined;
+
+  // Headers go out with the first block, so early failures keep their status
+  let started = false;
+  const send = (line) => {
+    if (!started) {
+      started = true;
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      res.setHeader("Cache-Control", "no-cache, no-transform");
+      res.setHeader("X-Accel-Buffering", "no"); // don't let proxies hold lines back
+    }
+    res.write(JSON.stringify(line) + "\n");
+  };
+
+  try {
+    const result = await scanMint(mint, {}, {
+      fresh,
+      profile,
+      onSection: (name, data) => send({ type: "section", name, data }),
+      onSectionError: (name, error) => send({ type: "error", name, error }),
+    });
+    await recordSnapshotSafe(mint, result);
+    await dispatchScanAlertsSafe(mint, result, { defer: true });
+    send({ type: "done" });
+    return res.end();
+  } catch (err) {
+    const status = err.status && err.status < 500 ? err.status : 500;
+    if (status === 500) console.error("GlassBox /api/check/stream error:", err);
+    const error = err.message || "Internal server error";
+    if (!started) return res.status(status).json({ error });
+    send({ type: "error", error, status });
+    return res.end();
+  }
+}
@@ -0,0 +1,50 @@
+// pages/api/history.js
+// GET /api/history?mint=<address>&limit=50
+// → { mint, timeline, changes, recentChanges }
+//   timeline       snapshots saved by /api/check, newest first
+//   changes        what moved between the last two scans
+//   recentChanges  what moved over the last 24h (oldest snapshot in window → latest)
+
+import { diffSnapshots, getHistory } from "../lib/history.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const RECENT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const mint = (req.query.mint || "").trim();
+    if (!mint) return res.status(400).json({ error: "Missing mint param" });
+
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT)
+    );
+    const timeline = await getHistory(mint, limit);
+    const [latest, previous] = timeline;
+
+    const cutoff = latest ? Date.parse(latest.scannedAt) - RECENT_WINDOW_MS : 0;
+    const inWindow = timeline.filter((s) => Date.parse(s.scannedAt) >= cutoff);
+    const oldestRecent = inWindow[inWindow.length - 1];
+
+    return res.status(200).json({
+      mint,
+      timeline,
+      changes: diffSnapshots(previous, latest),
+      recentChanges:
+        oldestRecent && oldestRecent !== latest
+          ? diffSnapshots(oldestRecent, latest)
+          : [],
+    });
+  } catch (err) {
+    console.error("GlassBox /api/history error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
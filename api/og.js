@@ -0,0 +1,51 @@
+// pages/api/og.js
+// GET /api/og?mint=<address> → 1200×630 PNG social card (lib/og-card.js)
+// - og:image / twitter:image of the /?mint= and /t/<mint> share pages
+// - same scan as /api/check (inputs cached), also snapshotted and alerted on
+// - &profile=... picks the scoring profile, like /api/check
+
+import { dispatchScanAlertsSafe } from "../lib/alert-rules.js";
+import { recordSnapshotSafe } from "../lib/history.js";
+import { fetchLogoSafe, renderScanCard } from "../lib/og-card.js";
+import { getDataProviders } from "../lib/providers/index.js";
+import { scanMint } from "../lib/scan.js";
+
+// crawlers re-fetch often; the card only changes as fast as the scan cache
+const CACHE_CONTROL = "public, max-age=600, s-maxage=600, stale-while-revalidate=3600";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const mint = (req.query.mint || "").trim();
+    if (!mint) return res.status(400).json({ error: "Missing mint param" });
+    try {
+      getDataProviders();
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+
+    const profile = (req.query.profile || "").trim() || undefined;
+    const result = await scanMint(mint, {}, { profile });
+    await recordSnapshotSafe(mint, result);
+    await dispatchScanAlertsSafe(mint, result, { defer: true });
+
+    const logo = await fetchLogoSafe(result.tokenMeta?.logoURI);
+    const png = renderScanCard(result, { logo });
+    res.setHeader("Content-Type", "image/png");
+    res.setHeader("Content-Length", png.length);
+    res.setHeader("Cache-Control", CACHE_CONTROL);
+    return res.status(200).end(png);
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("GlassBox /api/og error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
@@ -0,0 +1,94 @@
+// pages/api/page.js
+// GET /?mint=<address> and /t/<address> (rewritten here by vercel.json)
+// → index.html with per-mint Open Graph / Twitter tags, so a shared link
+// previews as the /api/og card on X, Telegram, Discord, …
+// - crawlers don't run the page script, so the tags must be in the HTML
+// - the page itself auto-scans the mint from the URL
+// - title / description use the last snapshot (lib/history.js) when there is one
+// - GLASSBOX_PUBLIC_URL sets the absolute origin (default: request host)
+
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { getHistory } from "../lib/history.js";
+
+const INDEX_FILE = fileURLToPath(new URL("../index.html", import.meta.url));
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const META_BLOCK_RE = /<!-- og:start -->[\s\S]*?<!-- og:end -->/;
+const LEVEL_TEXT = { low: "Low rug risk", medium: "Medium risk", high: "High rug risk" };
+
+let indexHtml = null;
+
+function escapeAttr(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function publicOrigin(req) {
+  if (process.env.GLASSBOX_PUBLIC_URL) return process.env.GLASSBOX_PUBLIC_URL.replace(/\/$/, "");
+  const proto = String(req.headers?.["x-forwarded-proto"] || "https").split(",")[0].trim();
+  return `${proto}://${req.headers?.["x-forwarded-host"] || req.headers?.host}`;
+}
+
+// Meta block for one mint; `snapshot` is the latest history entry or null
+export function shareMeta(mint, origin, snapshot) {
+  const short = `${mint.slice(0, 4)}…${mint.slice(-4)}`;
+  const title = `GlassBox scan · ${short}`;
+  const description =
+    snapshot && snapshot.level
+      ? `${LEVEL_TEXT[snapshot.level] || "Risk"} · ${snapshot.score}/100 – mint, holders, liquidity and age checked on Solana.`
+      : "Rug-risk scan for this Solana token: mint, holders, liquidity and age.";
+  const url = `${origin}/?mint=${mint}`;
+  const image = `${origin}/api/og?mint=${mint}`;
+
+  return [
+    "<!-- og:start -->",
+    `<meta name="description" content="${escapeAttr(description)}" />`,
+    `<link rel="canonical" href="${escapeAttr(url)}" />`,
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:site_name" content="GlassBox" />`,
+    `<meta property="og:title" content="${escapeAttr(title)}" />`,
+    `<meta property="og:description" content="${escapeAttr(description)}" />`,
+    `<meta property="og:url" content="${escapeAttr(url)}" />`,
+    `<meta property="og:image" content="${escapeAttr(image)}" />`,
+    `<meta property="og:image:width" content="1200" />`,
+    `<meta property="og:image:height" content="630" />`,
+    `<meta name="twitter:card" content="summary_large_image" />`,
+    `<meta name="twitter:title" content="${escapeAttr(title)}" />`,
+    `<meta name="twitter:description" content="${escapeAttr(description)}" />`,
+    `<meta name="twitter:image" content="${escapeAttr(image)}" />`,
+    "<!-- og:end -->",
+  ].join("\n  ");
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  try {
+    indexHtml ??= readFileSync(INDEX_FILE, "utf8");
+  } catch (err) {
+    console.error("GlassBox /api/page error:", err);
+    return res.status(500).json({ error: "index.html missing" });
+  }
+
+  // Anything that isn't mint-shaped gets the plain page; the script shows the error
+  const mint = (req.query.mint || "").trim();
+  let html = indexHtml;
+  if (MINT_RE.test(mint)) {
+    let snapshot = null;
+    try {
+      [snapshot] = await getHistory(mint, 1);
+    } catch (e) {
+      console.error("GlassBox /api/page history lookup failed:", e?.message || e);
+    }
+    html = indexHtml.replace(META_BLOCK_RE, shareMeta(mint, publicOrigin(req), snapshot));
+  }
+
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.setHeader("Cache-Control", "public, max-age=0, s-maxage=300");
+  return res.status(200).send(html);
+}
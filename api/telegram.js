@@ -0,0 +1,101 @@
+// pages/api/telegram.js
+// POST /api/telegram – Telegram bot webhook (lib/telegram.js):
+// /scan <mint>, /watch <mint>, /unwatch <mint>, /help and mints pasted in chat.
+// - TELEGRAM_BOT_TOKEN         bot token (also used for alert delivery)
+// - TELEGRAM_WEBHOOK_SECRET    required; must match X-Telegram-Bot-Api-Secret-Token
+//                              (the secret_token given to setWebhook)
+// - TELEGRAM_BOT_USERNAME      ignore /scan@OtherBot in groups
+// - GLASSBOX_PUBLIC_URL        adds a "Full scan" button
+// Always answers 200 once the update is handled, so Telegram doesn't resend it.
+// Telegram still resends an update it got no answer for in time (a slow
+// scan), so each update_id is claimed in the store and only handled once.
+
+import { dispatchScanAlertsSafe } from "../lib/alert-rules.js";
+import { recordSnapshotSafe } from "../lib/history.js";
+import { getDataProviders } from "../lib/providers/index.js";
+import { scanMint } from "../lib/scan.js";
+import { getDataStore } from "../lib/store.js";
+import { callTelegram, handleTelegramUpdate } from "../lib/telegram.js";
+import {
+  addToWatchlist,
+  getChatWatchlist,
+  removeFromWatchlist,
+} from "../lib/watchlist.js";
+
+const UPDATE_TTL_MS = 24 * 60 * 60_000; // Telegram gives up on an update after a day
+const updateKey = (id) => `glassbox:telegram-update:${id}`;
+
+function readBody(body) {
+  if (typeof body !== "string") return body || null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+// Same scan + side effects as /api/check
+async function scan(mint) {
+  const result = await scanMint(mint);
+  await recordSnapshotSafe(mint, result);
+  await dispatchScanAlertsSafe(mint, result, { defer: true });
+  return result;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  // without it anyone who finds the URL could drive the bot
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(500).json({ error: "TELEGRAM_WEBHOOK_SECRET missing in env" });
+  }
+  if (req.headers?.["x-telegram-bot-api-secret-token"] !== secret) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  if (!process.env.TELEGRAM_BOT_TOKEN) {
+    return res.status(500).json({ error: "TELEGRAM_BOT_TOKEN missing in env" });
+  }
+  try {
+    getDataProviders();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+
+  const update = readBody(req.body);
+  if (!update) return res.status(400).json({ error: "Body must be a Telegram update" });
+
+  if (update.update_id != null) {
+    let first = true;
+    try {
+      first = await getDataStore().setIfAbsent(updateKey(update.update_id), true, UPDATE_TTL_MS);
+    } catch (e) {
+      // better a rare double reply than a bot that goes silent with the store
+      console.error("GlassBox /api/telegram dedupe failed:", e?.message || e);
+    }
+    if (!first) return res.status(200).json({ ok: true, duplicate: true });
+  }
+
+  try {
+    await handleTelegramUpdate(update, {
+      botUsername: process.env.TELEGRAM_BOT_USERNAME,
+      publicUrl: process.env.GLASSBOX_PUBLIC_URL,
+      scan,
+      watch: async (chatId, mint) => {
+        const list = await getChatWatchlist(chatId, { create: true });
+        await addToWatchlist(list.id, { mint });
+      },
+      unwatch: async (chatId, mint) => {
+        const list = await getChatWatchlist(chatId);
+        if (list) await removeFromWatchlist(list.id, mint);
+      },
+      reply: (chatId, fields) => callTelegram("sendMessage", { chat_id: chatId, ...fields }),
+    });
+  } catch (err) {
+    // a bad update must not make Telegram retry it forever
+    console.error("GlassBox /api/telegram error:", err);
+  }
+  return res.status(200).json({ ok: true });
+}
@@ -0,0 +1,56 @@
+// pages/api/wallet.js
+// GET /api/wallet?address=<wallet> → every token the wallet holds, graded
+// (lib/wallet.js):
+//   { address,
+//     summary:   { positions, scanned, totalValueUsd, atRiskValueUsd, byLevel, riskyApprovals },
+//     positions: [{ mint, symbol, amount, valueUsd, level, score, flags, scanned, ... }],
+//     approvals: [{ account, mint, delegate, delegatedAmount, level, reason, revokeInstruction }],
+//     errors:    { [mint]: { status, error } } }
+// - &fresh=1 / &profile=... as for /api/check
+// - positions are valued, then the most valuable ones scanned (lib/batch.js)
+
+import { getScoringProfile } from "../lib/profiles.js";
+import { getDataProviders } from "../lib/providers/index.js";
+import { scanWallet } from "../lib/wallet.js";
+
+const ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const address = (req.query.address || "").trim();
+    if (!address) return res.status(400).json({ error: "Missing address param" });
+    if (!ADDRESS_RE.test(address)) {
+      return res.status(400).json({ error: "Invalid wallet address" });
+    }
+    try {
+      getDataProviders();
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+
+    const fresh = req.query.fresh === "1" || req.query.fresh === "true";
+    const profile = (req.query.profile || "").trim() || undefined;
+    // fail once instead of once per position
+    try {
+      getScoringProfile(profile);
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: e.message });
+    }
+
+    const result = await scanWallet(address, { fresh, profile });
+    return res.status(200).json(result);
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("GlassBox /api/wallet error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
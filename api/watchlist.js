@@ -0,0 +1,94 @@
+// pages/api/watchlist.js
+// Server-side watchlist (lib/watchlist.js), addressed by its id:
+// - GET    /api/watchlist?id=<id>            → { watchlist, alerts }
+// - POST   /api/watchlist { id?, mint, symbol?, name? }
+//          adds a mint; without an id a new watchlist is created
+// - PUT    /api/watchlist { id, thresholds?, webhookUrl?, profile? }
+// - DELETE /api/watchlist?id=<id>&mint=<mint>
+// Entries are re-scanned by /api/watchlist/rescan.
+
+import {
+  addToWatchlist,
+  createWatchlist,
+  getAlerts,
+  getWatchlist,
+  isWatchlistId,
+  removeFromWatchlist,
+  updateWatchlistSettings,
+} from "../lib/watchlist.js";
+
+const ALERTS_IN_RESPONSE = 50;
+
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+function readBody(body) {
+  if (typeof body !== "string") return body || null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+async function respond(res, status, watchlist) {
+  const alerts = await getAlerts(watchlist.id, ALERTS_IN_RESPONSE);
+  return res.status(status).json({ watchlist, alerts });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const list = await getWatchlist((req.query.id || "").trim());
+      if (!list) return res.status(404).json({ error: "Watchlist not found" });
+      return respond(res, 200, list);
+    }
+
+    if (req.method === "POST") {
+      const body = readBody(req.body);
+      if (!body?.mint) {
+        return res.status(400).json({ error: 'Body must be JSON like { "mint": "<mint>" }' });
+      }
+      // checked before a new list is created for it
+      if (!MINT_RE.test(String(body.mint).trim())) {
+        return res.status(400).json({ error: "Invalid mint address" });
+      }
+      let id = body.id;
+      let created = false;
+      if (!id) {
+        id = (await createWatchlist({ profile: body.profile })).id;
+        created = true;
+      } else if (!isWatchlistId(id)) {
+        return res.status(404).json({ error: "Watchlist not found" });
+      }
+      const list = await addToWatchlist(id, body);
+      return respond(res, created ? 201 : 200, list);
+    }
+
+    if (req.method === "PUT") {
+      const body = readBody(req.body);
+      if (!isWatchlistId(body?.id)) {
+        return res.status(404).json({ error: "Watchlist not found" });
+      }
+      return respond(res, 200, await updateWatchlistSettings(body.id, body));
+    }
+
+    if (req.method === "DELETE") {
+      const id = (req.query.id || "").trim();
+      const mint = (req.query.mint || "").trim();
+      if (!isWatchlistId(id)) return res.status(404).json({ error: "Watchlist not found" });
+      if (!mint) return res.status(400).json({ error: "Missing mint param" });
+      return respond(res, 200, await removeFromWatchlist(id, mint));
+    }
+
+    res.setHeader("Allow", "GET, POST, PUT, DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("GlassBox /api/watchlist error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
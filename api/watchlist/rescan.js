@@ -0,0 +1,46 @@
+// pages/api/watchlist/rescan.js
+// Re-scan watchlist entries that are due (older than 5 min) and fire alerts.
+// - GET|POST /api/watchlist/rescan?id=<id> → just that list (open pages poll this)
+// - GET|POST /api/watchlist/rescan          → every list; the Vercel cron in
+//   vercel.json calls this with `Authorization: Bearer $CRON_SECRET`
+//   (refused while CRON_SECRET is unset)
+// → { lists, scanned, alerts, errors }
+
+import { getDataProviders } from "../../lib/providers/index.js";
+import { getWatchlist, rescanWatchlists } from "../../lib/watchlist.js";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+    try {
+      getDataProviders();
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+
+    const id = (req.query.id || "").trim();
+    if (id) {
+      if (!(await getWatchlist(id))) {
+        return res.status(404).json({ error: "Watchlist not found" });
+      }
+      return res.status(200).json(await rescanWatchlists({ ids: [id] }));
+    }
+
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+      return res.status(500).json({ error: "CRON_SECRET missing in env" });
+    }
+    if (req.headers?.authorization !== `Bearer ${secret}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    return res.status(200).json(await rescanWatchlists());
+  } catch (err) {
+    console.error("GlassBox /api/watchlist/rescan error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+}
@@ -0,0 +1,218 @@
+// lib/alert-rules.js
+// Alert rules checked against every finished scan (/api/check, stream,
+// batch, watchlist re-scans). A rule matches when all its conditions hold;
+// matches go out through lib/delivery.js.
+//
+// Rule: {
+//   id, name, enabled,
+//   when: [{ field: "riskSummary.level", op: "eq", value: "high" }, ...],
+//   mints: ["<mint>", ...] | null,   // null = any mint
+//   destination: { type: "webhook" | "telegram" | "discord", ... },
+//   cooldownMinutes: 60,             // one alert per rule + mint per window
+// }
+
+import { createHash, randomUUID } from "node:crypto";
+import {
+  checkDestinationHost,
+  deliverSafe,
+  describeDestination,
+  normalizeDestination,
+} from "./delivery.js";
+import { getDataStore } from "./store.js";
+
+const RULES_KEY = "glassbox:alert-rules";
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_RULES = 100;
+
+const FIELD_RE = /^[A-Za-z][A-Za-z0-9]*(\.[A-Za-z0-9]+)*$/;
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const OPERATORS = {
+  eq: (v, x) => v === x,
+  ne: (v, x) => v !== x,
+  gt: (v, x) => typeof v === "number" && v > x,
+  gte: (v, x) => typeof v === "number" && v >= x,
+  lt: (v, x) => typeof v === "number" && v < x,
+  lte: (v, x) => typeof v === "number" && v <= x,
+  in: (v, x) => Array.isArray(x) && x.includes(v),
+  truthy: (v) => Boolean(v),
+  falsy: (v) => !v,
+};
+const NUMERIC_OPS = new Set(["gt", "gte", "lt", "lte"]);
+
+function ruleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// "riskSummary.level" → scan.riskSummary.level
+function readField(scan, field) {
+  return field.split(".").reduce((obj, key) => (obj == null ? undefined : obj[key]), scan);
+}
+
+function normalizeCondition(cond, idx) {
+  const where = `when[${idx}]`;
+  if (typeof cond?.field !== "string" || !FIELD_RE.test(cond.field)) {
+    throw ruleError(`${where}.field must be a dotted scan field like "riskSummary.level"`);
+  }
+  if (!OPERATORS[cond.op]) {
+    throw ruleError(`${where}.op must be one of ${Object.keys(OPERATORS).join(", ")}`);
+  }
+  if (NUMERIC_OPS.has(cond.op) && !Number.isFinite(cond.value)) {
+    throw ruleError(`${where}.value must be a number for "${cond.op}"`);
+  }
+  if (cond.op === "in" && !Array.isArray(cond.value)) {
+    throw ruleError(`${where}.value must be an array for "in"`);
+  }
+  const out = { field: cond.field, op: cond.op };
+  if (cond.op !== "truthy" && cond.op !== "falsy") out.value = cond.value;
+  return out;
+}
+
+function describeCondition(c) {
+  if (c.op === "truthy") return c.field;
+  if (c.op === "falsy") return `not ${c.field}`;
+  const sign = { eq: "=", ne: "≠", gt: ">", gte: "≥", lt: "<", lte: "≤", in: "in" }[c.op];
+  return `${c.field} ${sign} ${JSON.stringify(c.value)}`;
+}
+
+// Validated rule from API input; throws with `.status` 400
+export function normalizeRule(input) {
+  if (!Array.isArray(input?.when) || !input.when.length) {
+    throw ruleError('when must be a non-empty list like [{ "field": "riskSummary.level", "op": "eq", "value": "high" }]');
+  }
+  const when = input.when.map(normalizeCondition);
+
+  let mints = null;
+  if (input.mints != null) {
+    if (!Array.isArray(input.mints) || input.mints.some((m) => !MINT_RE.test(m))) {
+      throw ruleError("mints must be a list of mint addresses");
+    }
+    mints = [...new Set(input.mints)];
+  }
+
+  const cooldownMinutes = input.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+  if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 1) {
+    throw ruleError("cooldownMinutes must be a number ≥ 1");
+  }
+
+  return {
+    id: randomUUID(),
+    name:
+      typeof input.name === "string" && input.name.trim()
+        ? input.name.trim()
+        : when.map(describeCondition).join(" and "),
+    enabled: input.enabled !== false,
+    when,
+    mints,
+    destination: normalizeDestination(input.destination),
+    cooldownMinutes,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// → [{ field, op, value, actual }] when every condition holds, else null
+export function matchRule(rule, mint, scan) {
+  if (!rule.enabled) return null;
+  if (rule.mints && !rule.mints.includes(mint)) return null;
+  const matched = [];
+  for (const cond of rule.when) {
+    const actual = readField(scan, cond.field);
+    if (!OPERATORS[cond.op](actual, cond.value)) return null;
+    matched.push({ ...cond, actual });
+  }
+  return matched;
+}
+
+// What the API shows: the webhook secret only once, on creation
+export function publicRule(rule, { withSecret = false } = {}) {
+  return {
+    ...rule,
+    destination: withSecret ? rule.destination : describeDestination(rule.destination),
+  };
+}
+
+export async function listRules() {
+  return (await getDataStore().get(RULES_KEY)) || [];
+}
+
+export async function addRule(input) {
+  const rule = normalizeRule(input);
+  await checkDestinationHost(rule.destination);
+  const rules = await listRules();
+  if (rules.length >= MAX_RULES) throw ruleError(`Too many rules (max ${MAX_RULES})`);
+  await getDataStore().set(RULES_KEY, [...rules, rule]);
+  return rule;
+}
+
+// → true when a rule was removed
+export async function removeRule(id) {
+  const rules = await listRules();
+  const rest = rules.filter((r) => r.id !== id);
+  if (rest.length === rules.length) return false;
+  await getDataStore().set(RULES_KEY, rest);
+  return true;
+}
+
+function alertText(rule, mint, scan, matched) {
+  const meta = scan.tokenMeta || {};
+  const risk = scan.riskSummary || {};
+  const lines = [
+    `🚨 GlassBox alert: ${rule.name}`,
+    `${meta.symbol || meta.name || "Token"} · ${mint}`,
+    `Risk: ${risk.level || "unknown"}${risk.score != null ? ` · score ${risk.score}/100` : ""}`,
+    ...matched.map((m) => `• ${m.field} = ${JSON.stringify(m.actual)}`),
+  ];
+  const publicUrl = process.env.GLASSBOX_PUBLIC_URL;
+  if (publicUrl) lines.push(`${publicUrl.replace(/\/$/, "")}/?mint=${mint}`);
+  return lines.join("\n");
+}
+
+// Check every rule against a finished scan and deliver the matches.
+// The idempotency key is rule + mint + cooldown window, so re-scans inside
+// the window (and retries) never alert twice. Request handlers pass
+// `defer: true`: matches are queued in the outbox and sent by the retry cron.
+// → number of deliveries started
+export async function dispatchScanAlerts(mint, scan, { now = Date.now(), defer = false } = {}) {
+  const rules = await listRules();
+  let sent = 0;
+  for (const rule of rules) {
+    const matched = matchRule(rule, mint, scan);
+    if (!matched) continue;
+    const windowStart = Math.floor(now / (rule.cooldownMinutes * 60_000));
+    const idempotencyKey = createHash("sha1")
+      .update(`rule:${rule.id}:${mint}:${windowStart}`)
+      .digest("hex");
+    const delivery = await deliverSafe({
+      idempotencyKey,
+      destination: rule.destination,
+      source: "rule",
+      mint,
+      defer,
+      text: alertText(rule, mint, scan, matched),
+      payload: {
+        event: "rule.matched",
+        rule: { id: rule.id, name: rule.name },
+        mint,
+        matched,
+        tokenMeta: scan.tokenMeta ?? null,
+        riskSummary: scan.riskSummary
+          ? { level: scan.riskSummary.level, score: scan.riskSummary.score }
+          : null,
+        scannedAt: new Date(now).toISOString(),
+      },
+    });
+    if (delivery && !delivery.duplicate) sent += 1;
+  }
+  return sent;
+}
+
+export async function dispatchScanAlertsSafe(mint, scan, options) {
+  try {
+    return await dispatchScanAlerts(mint, scan, options);
+  } catch (e) {
+    console.error("alert rules failed for", mint, e?.message || e);
+    return 0;
+  }
+}
@@ -0,0 +1,148 @@
+// lib/alerts.js
+// Watchlist alerts: what crossed a threshold between two re-scans of a mint
+// (delivered by lib/watchlist.js through lib/delivery.js).
+// A watch state is a history snapshot (lib/history.js) plus the whale list,
+// so "new whale" can be told apart from an existing one growing.
+
+import { createHash } from "node:crypto";
+import { diffSnapshots, formatDuration, snapshotFromScan } from "./history.js";
+
+// Per-watchlist overrides are merged over these
+export const DEFAULT_ALERT_THRESHOLDS = {
+  scoreDrop: 10,        // score points lost since the last re-scan
+  liquidityDropPct: 30, // % of pool liquidity gone
+  insiderSpikePct: 10,  // insider share up by this many % of supply
+  newWhale: true,       // a wallet crossed the profile's whale cut-off
+  authorityChange: true,
+};
+
+// Unknown keys are dropped and numbers must be ≥ 0; throws with `.status` 400
+export function normalizeThresholds(input = {}) {
+  const thresholds = { ...DEFAULT_ALERT_THRESHOLDS };
+  for (const [key, fallback] of Object.entries(DEFAULT_ALERT_THRESHOLDS)) {
+    const value = input?.[key];
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof fallback === "boolean") {
+      thresholds[key] = Boolean(value);
+    } else if (Number.isFinite(Number(value)) && Number(value) >= 0) {
+      thresholds[key] = Number(value);
+    } else {
+      const err = new Error(`Threshold "${key}" must be a number ≥ 0`);
+      err.status = 400;
+      throw err;
+    }
+  }
+  return thresholds;
+}
+
+// Figures that come from each scan block; when `scan.errors` names the
+// block, the previous state's values are kept instead of its fallback
+const CARRIED_ON_ERROR = {
+  holderSummary: ["score", "level", "axes", "top10PctExclLP", "insidersPct", "whales"],
+  holderLabels: ["score", "level", "axes", "top10PctExclLP", "insidersPct", "whales"],
+  holderDistribution: ["holdersCount"],
+  tokenMetrics: ["liquidityUsd", "priceUsd"],
+};
+
+// Scan JSON (lib/scan.js) → what the next re-scan is compared against.
+// `prev` is the last state, so a failed lookup doesn't become a spike (or
+// every whale "new") on the scan after it.
+export function watchStateFromScan(scan, scannedAt = Date.now(), prev = null) {
+  const state = {
+    ...snapshotFromScan(scan, scannedAt),
+    whales: (scan.insiderSummary?.whales || []).map((w) => ({
+      address: w.address,
+      pct: w.pct,
+    })),
+  };
+  for (const [block, fields] of Object.entries(CARRIED_ON_ERROR)) {
+    if (!scan.errors?.[block]) continue;
+    for (const field of fields) state[field] = prev?.[field] ?? null;
+  }
+  return state;
+}
+
+const short = (a) => (a && a.length > 8 ? `${a.slice(0, 4)}…${a.slice(-4)}` : a);
+const num = (v) => typeof v === "number" && !Number.isNaN(v);
+
+// Threshold crossings between two watch states → [{ code, severity, message, from, to }]
+export function evaluateAlerts(prev, curr, thresholds = DEFAULT_ALERT_THRESHOLDS) {
+  if (!prev || !curr) return [];
+  const t = { ...DEFAULT_ALERT_THRESHOLDS, ...thresholds };
+  const alerts = [];
+  const span = formatDuration(Date.parse(curr.scannedAt) - Date.parse(prev.scannedAt));
+  // scores under different profiles aren't comparable
+  const sameProfile = (prev.profile || "default") === (curr.profile || "default");
+
+  if (
+    sameProfile &&
+    num(prev.score) &&
+    num(curr.score) &&
+    prev.score - curr.score >= t.scoreDrop
+  ) {
+    alerts.push({
+      code: "SCORE_DROP",
+      severity: "bad",
+      from: prev.score,
+      to: curr.score,
+      message: `Score dropped from ${prev.score} to ${curr.score} in ${span}`,
+    });
+  }
+
+  if (t.authorityChange) {
+    // same events (and wording) as the "What changed" box
+    for (const e of diffSnapshots(prev, curr)) {
+      if (e.code.startsWith("MINT_AUTHORITY_") || e.code.startsWith("FREEZE_AUTHORITY_")) {
+        alerts.push(e);
+      }
+    }
+  }
+
+  if (num(prev.liquidityUsd) && num(curr.liquidityUsd) && prev.liquidityUsd > 0) {
+    const dropPct = ((prev.liquidityUsd - curr.liquidityUsd) / prev.liquidityUsd) * 100;
+    if (dropPct >= t.liquidityDropPct) {
+      alerts.push({
+        code: "LIQUIDITY_DROP",
+        severity: "bad",
+        from: prev.liquidityUsd,
+        to: curr.liquidityUsd,
+        message: `Liquidity fell ${dropPct.toFixed(0)}% in ${span}`,
+      });
+    }
+  }
+
+  if (
+    num(prev.insidersPct) &&
+    num(curr.insidersPct) &&
+    curr.insidersPct - prev.insidersPct >= t.insiderSpikePct
+  ) {
+    alerts.push({
+      code: "INSIDERS_SPIKE",
+      severity: "bad",
+      from: prev.insidersPct,
+      to: curr.insidersPct,
+      message: `Insiders went from ${prev.insidersPct.toFixed(0)}% to ${curr.insidersPct.toFixed(0)}% in ${span}`,
+    });
+  }
+
+  if (t.newWhale && Array.isArray(prev.whales)) {
+    const known = new Set(prev.whales.map((w) => w.address));
+    for (const whale of curr.whales || []) {
+      if (known.has(whale.address)) continue;
+      alerts.push({
+        code: "NEW_WHALE",
+        severity: "warn",
+        from: null,
+        to: whale.address,
+        message: `New whale ${short(whale.address)} holds ${Number(whale.pct).toFixed(1)}%`,
+      });
+    }
+  }
+
+  return alerts;
+}
+
+// Stable per (mint, code, scan) so a retried re-scan can't alert twice
+export function alertId(mint, code, scannedAt) {
+  return createHash("sha1").update(`${mint}:${code}:${scannedAt}`).digest("hex").slice(0, 16);
+}
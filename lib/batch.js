@@ -0,0 +1,95 @@
+// lib/batch.js
+// Scan many mints at once (/api/check/batch, /api/wallet).
+// Mint accounts come from getMultipleAccounts and DexScreener pairs from the
+// multi-token endpoint, so each mint only pays for its own holder/LP calls.
+// Every scan is snapshotted and checked against alert rules, like /api/check.
+
+import { dispatchScanAlertsSafe } from "./alert-rules.js";
+import { recordSnapshotSafe } from "./history.js";
+import {
+  callRpc,
+  fetchDexPairsForMints,
+  mapWithConcurrency,
+  scanMint,
+} from "./scan.js";
+
+const BATCH_CONCURRENCY = 4;     // mints scanned at once
+const ACCOUNTS_PER_CALL = 100;   // getMultipleAccounts limit
+
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// { [mint]: account | null }, or null if the bulk call failed
+async function fetchMintAccounts(mints) {
+  try {
+    const accounts = {};
+    for (let i = 0; i < mints.length; i += ACCOUNTS_PER_CALL) {
+      const chunk = mints.slice(i, i + ACCOUNTS_PER_CALL);
+      const result = await callRpc("getMultipleAccounts", [
+        chunk,
+        { encoding: "base64", commitment: "confirmed" },
+      ]);
+      const values = Array.isArray(result?.value) ? result.value : [];
+      chunk.forEach((mint, idx) => {
+        accounts[mint] = values[idx] ?? null;
+      });
+    }
+    return accounts;
+  } catch (e) {
+    console.error("batch getMultipleAccounts failed:", e?.message || e);
+    return null;
+  }
+}
+
+// { [mint]: DexScreener pairs }, or null if the bulk call failed
+export async function fetchDexPairsSafe(mints) {
+  try {
+    return await fetchDexPairsForMints(mints);
+  } catch (e) {
+    console.error("batch DexScreener failed:", e?.message || e);
+    return null;
+  }
+}
+
+// → { results: { [mint]: scan JSON }, errors: { [mint]: { status, error } } }
+// `dexPairs` skips the DexScreener call when the caller already has them.
+export async function scanMints(mints, { fresh = false, profile, dexPairs } = {}) {
+  const results = {};
+  const errors = {};
+
+  // one bad address would fail the whole getMultipleAccounts call
+  const valid = mints.filter((m) => MINT_RE.test(m));
+  for (const mint of mints) {
+    if (!valid.includes(mint)) {
+      errors[mint] = { status: 400, error: "Invalid mint address" };
+    }
+  }
+  if (!valid.length) return { results, errors };
+
+  const [accounts, pairs] = await Promise.all([
+    fetchMintAccounts(valid),
+    dexPairs || fetchDexPairsSafe(valid),
+  ]);
+
+  await mapWithConcurrency(valid, BATCH_CONCURRENCY, async (mint) => {
+    // missing bulk data → scanMint fetches that piece itself
+    const prefetched = {};
+    if (accounts) prefetched.accountInfo = accounts[mint] ?? null;
+    if (pairs) prefetched.dexPairs = pairs[mint] || [];
+
+    try {
+      results[mint] = await scanMint(mint, prefetched, { fresh, profile });
+      await recordSnapshotSafe(mint, results[mint]);
+      await dispatchScanAlertsSafe(mint, results[mint], { defer: true });
+    } catch (e) {
+      if (!e.status || e.status >= 500) {
+        console.error("GlassBox batch error for", mint, e);
+      }
+      errors[mint] = {
+        status: e.status || 500,
+        error: e.message || "Internal server error",
+      };
+    }
+  });
+
+  return { results, errors };
+}
@@ -0,0 +1,121 @@
+// lib/cache.js
+// Read-through cache for scan inputs, with a TTL per data source.
+// - In-memory store by default (per serverless instance)
+// - GLASSBOX_CACHE=kv → shared Upstash / Vercel KV REST store
+//   (KV_REST_API_URL + KV_REST_API_TOKEN)
+// - setCacheStore() plugs in anything with async get/set
+//
+// A store only has to implement:
+//   get(key)               → { value, cachedAt } | undefined
+//   set(key, entry, ttlMs) → void
+
+import { kvClientFromEnv } from "./kv.js";
+
+// How long each source stays fresh. Authorities / metadata barely change;
+// price, liquidity and holders go stale in seconds.
+export const CACHE_TTLS_MS = {
+  mint: 5 * 60_000,
+  authorities: 10 * 60_000,
+  metadata: 60 * 60_000,
+  holders: 30_000,
+  market: 15_000,
+  lpLock: 60_000,
+  clusters: 60 * 60_000,
+  deployer: 10 * 60_000,
+  launch: 24 * 60 * 60_000, // first slots of a pool never change
+  sellSim: 60_000,
+  curve: 15_000,
+  mintCreated: 7 * 24 * 60 * 60_000, // history never changes
+  origin: 24 * 60 * 60_000, // creation tx + pool owners, keyed by both
+  labels: 60 * 60_000, // who the top holders are, keyed by the account list
+};
+
+const MEMORY_MAX_ENTRIES = 2000;
+
+export function createMemoryStore({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      const hit = entries.get(key);
+      if (!hit) return undefined;
+      if (hit.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // callers may mutate what they get back
+      return structuredClone(hit.entry);
+    },
+    async set(key, entry, ttlMs) {
+      entries.delete(key);
+      entries.set(key, {
+        entry: structuredClone(entry),
+        expiresAt: Date.now() + ttlMs,
+      });
+      // Map keeps insertion order, so the first key is the oldest write
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+// Shared Upstash / Vercel KV store (see lib/kv.js)
+export function createKvStore(kv = kvClientFromEnv()) {
+  return {
+    name: "kv",
+    async get(key) {
+      const raw = await kv.command(["GET", key]);
+      return raw == null ? undefined : JSON.parse(raw);
+    },
+    async set(key, entry, ttlMs) {
+      await kv.command(["SET", key, JSON.stringify(entry), "PX", ttlMs]);
+    },
+  };
+}
+
+let store = null;
+
+export function getCacheStore() {
+  if (!store) {
+    store =
+      process.env.GLASSBOX_CACHE === "kv" ? createKvStore() : createMemoryStore();
+  }
+  return store;
+}
+
+export function setCacheStore(next) {
+  store = next;
+}
+
+// Return the cached value for source/key, or load + store it.
+// `fresh` skips the read (?fresh=1) but still refreshes the entry.
+// null / undefined results are never cached so failures retry next time.
+// → { value, cachedAt (ms epoch), hit }
+export async function cacheThrough(source, key, loader, { fresh = false } = {}) {
+  const ttlMs = CACHE_TTLS_MS[source];
+  const cacheKey = `glassbox:${source}:${key}`;
+  const cache = getCacheStore();
+
+  if (!fresh && ttlMs) {
+    try {
+      const entry = await cache.get(cacheKey);
+      if (entry) return { value: entry.value, cachedAt: entry.cachedAt, hit: true };
+    } catch (e) {
+      console.error("cache get failed:", cacheKey, e?.message || e);
+    }
+  }
+
+  const value = await loader();
+  const cachedAt = Date.now();
+
+  if (ttlMs && value != null) {
+    try {
+      await cache.set(cacheKey, { value, cachedAt }, ttlMs);
+    } catch (e) {
+      console.error("cache set failed:", cacheKey, e?.message || e);
+    }
+  }
+  return { value, cachedAt, hit: false };
+}
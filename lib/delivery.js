@@ -0,0 +1,347 @@
+// lib/delivery.js
+// Outbound alert delivery: signed webhooks, Telegram chats, Discord webhooks.
+// - Every message has an idempotency key; a key that was already delivered
+//   (or is still being retried) is never sent again
+// - First attempt runs right away (or, with `defer`, on the next
+//   /api/alerts/retry run); failures wait in an outbox and are retried
+//   there with backoff (429 / 5xx / network only)
+// - Every attempt is appended to a delivery log (newest first)
+// - webhook / Discord URLs must resolve to public addresses (lib/public-host.js),
+//   checked when saved and again before every send; redirects are not followed
+// - TELEGRAM_API_URL, plain-http URLs (GLASSBOX_ALERTS_ALLOW_HTTP=1) and
+//   private hosts (GLASSBOX_ALLOW_PRIVATE_HOSTS=1) let a local HTTP
+//   stand-in play Telegram / Discord / the webhook receiver
+//
+// Destination: { type: "webhook", url, secret }
+//            | { type: "telegram", chatId }
+//            | { type: "discord", url }
+
+import { createHmac, randomBytes } from "node:crypto";
+import { assertPublicHost, assertPublicHostLiteral } from "./public-host.js";
+import { getDataStore } from "./store.js";
+import { telegramMethodUrl } from "./telegram.js";
+
+const SEND_TIMEOUT_MS = 5_000;
+// wait before attempt 2, 3, 4, 5 – then the delivery is marked failed
+const RETRY_DELAYS_MS = [30_000, 2 * 60_000, 10 * 60_000, 60 * 60_000];
+const DELIVERY_TTL_MS = 7 * 24 * 60 * 60_000; // how long a key stays "seen"
+const MAX_LOG_ENTRIES = 500;
+const MAX_RETRIES_PER_RUN = 50;
+
+const OUTBOX_KEY = "glassbox:alert-outbox";
+const LOG_KEY = "glassbox:alert-log";
+const deliveryKey = (id) => `glassbox:delivery:${id}`;
+// held while a retry run sends a delivery; outlives a send that times out
+const lockKey = (id) => `glassbox:delivery-lock:${id}`;
+const LOCK_TTL_MS = 6 * SEND_TIMEOUT_MS;
+
+const DESTINATION_TYPES = ["webhook", "telegram", "discord"];
+
+function deliveryError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// https only, unless GLASSBOX_ALERTS_ALLOW_HTTP=1 (local stand-ins)
+export function normalizeDestinationUrl(url, field = "url") {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    throw deliveryError(400, `${field} is not a valid URL`);
+  }
+  const allowHttp = process.env.GLASSBOX_ALERTS_ALLOW_HTTP === "1";
+  if (parsed.protocol !== "https:" && !(allowHttp && parsed.protocol === "http:")) {
+    throw deliveryError(400, `${field} must be https`);
+  }
+  assertPublicHostLiteral(parsed, field);
+  return parsed.toString();
+}
+
+// Resolves a normalized destination's host; throws (.status 400) unless
+// every address is public. Run before saving a destination.
+export async function checkDestinationHost(destination) {
+  if (destination?.type === "webhook" || destination?.type === "discord") {
+    await assertPublicHost(destination.url, "destination.url");
+  }
+}
+
+// Validated copy of a destination; webhooks get a signing secret if none given
+export function normalizeDestination(input) {
+  const type = input?.type;
+  if (!DESTINATION_TYPES.includes(type)) {
+    throw deliveryError(400, `destination.type must be one of ${DESTINATION_TYPES.join(", ")}`);
+  }
+  if (type === "telegram") {
+    const chatId = String(input.chatId ?? "").trim();
+    if (!/^-?\d+$|^@\w+$/.test(chatId)) {
+      throw deliveryError(400, "destination.chatId must be a numeric chat id or @channel");
+    }
+    return { type, chatId };
+  }
+  const url = normalizeDestinationUrl(input.url, "destination.url");
+  if (type === "discord") return { type, url };
+  const secret =
+    typeof input.secret === "string" && input.secret.length >= 16
+      ? input.secret
+      : randomBytes(24).toString("hex");
+  return { type, url, secret };
+}
+
+// Safe to show back: no secrets, no tokens, webhook paths cut
+export function describeDestination(destination) {
+  if (!destination) return null;
+  if (destination.type === "telegram") return { type: "telegram", chatId: destination.chatId };
+  let host = null;
+  try {
+    host = new URL(destination.url).host;
+  } catch {}
+  return { type: destination.type, host };
+}
+
+// --- Senders ----------------------------------------------------------
+// Each → { ok, status, error, retryable, retryAfterMs }
+
+// `publicOnly` re-checks the host first (user-supplied URLs)
+async function post(url, headers, body, { publicOnly = false } = {}) {
+  if (publicOnly) {
+    try {
+      await assertPublicHost(url);
+    } catch (e) {
+      return { ok: false, status: null, error: e.message, retryable: Boolean(e.dnsFailure) };
+    }
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body,
+      redirect: "manual",
+      signal: controller.signal,
+    });
+    if (res.ok) return { ok: true, status: res.status };
+    // a redirect could point anywhere, including a private host
+    if (res.status >= 300 && res.status < 400) {
+      return {
+        ok: false,
+        status: res.status,
+        error: `HTTP ${res.status} redirect not followed`,
+        retryable: false,
+      };
+    }
+    const retryAfter = Number(res.headers.get("retry-after"));
+    return {
+      ok: false,
+      status: res.status,
+      error: `HTTP ${res.status}`,
+      retryable: res.status === 429 || res.status >= 500,
+      retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null,
+    };
+  } catch (e) {
+    return {
+      ok: false,
+      status: null,
+      error: e?.name === "AbortError" ? "timeout" : e?.message || String(e),
+      retryable: true,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// X-Glassbox-Signature: sha256=HMAC(secret, "<timestamp>.<body>")
+export function signWebhook(secret, timestamp, body) {
+  return "sha256=" + createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function sendWebhook(destination, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return post(
+    destination.url,
+    {
+      "Idempotency-Key": delivery.id,
+      "X-Glassbox-Event": delivery.payload.event,
+      "X-Glassbox-Timestamp": timestamp,
+      "X-Glassbox-Signature": signWebhook(destination.secret, timestamp, body),
+    },
+    body,
+    { publicOnly: true }
+  );
+}
+
+async function sendTelegram(destination, delivery) {
+  let url;
+  try {
+    url = telegramMethodUrl("sendMessage");
+  } catch (e) {
+    return { ok: false, status: null, error: e.message, retryable: false };
+  }
+  return post(
+    url,
+    {},
+    JSON.stringify({
+      chat_id: destination.chatId,
+      text: delivery.text,
+      disable_web_page_preview: true,
+    })
+  );
+}
+
+async function sendDiscord(destination, delivery) {
+  return post(
+    destination.url,
+    {},
+    JSON.stringify({ content: delivery.text, allowed_mentions: { parse: [] } }),
+    { publicOnly: true }
+  );
+}
+
+const SENDERS = { webhook: sendWebhook, telegram: sendTelegram, discord: sendDiscord };
+
+// --- Outbox -----------------------------------------------------------
+
+async function appendLog(delivery, result) {
+  await getDataStore().listPush(
+    LOG_KEY,
+    {
+      deliveryId: delivery.id,
+      source: delivery.source,
+      mint: delivery.mint,
+      destination: describeDestination(delivery.destination),
+      attempt: delivery.attempts,
+      ok: result.ok,
+      status: result.status ?? null,
+      error: result.ok ? null : result.error,
+      at: new Date().toISOString(),
+    },
+    MAX_LOG_ENTRIES
+  );
+}
+
+// One attempt; updates the record, the log and the outbox
+async function attempt(delivery) {
+  const store = getDataStore();
+  delivery.attempts += 1;
+  const result = await SENDERS[delivery.destination.type](delivery.destination, delivery);
+  const now = Date.now();
+
+  if (result.ok) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date(now).toISOString();
+    delivery.lastError = null;
+  } else if (result.retryable && delivery.attempts <= RETRY_DELAYS_MS.length) {
+    const wait = Math.max(RETRY_DELAYS_MS[delivery.attempts - 1], result.retryAfterMs || 0);
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(now + wait).toISOString();
+    delivery.lastError = result.error;
+  } else {
+    delivery.status = "failed";
+    delivery.lastError = result.error;
+  }
+
+  await store.set(deliveryKey(delivery.id), delivery, DELIVERY_TTL_MS);
+  await appendLog(delivery, result);
+  // the outbox is a store set: concurrent attempts can't drop each other's ids
+  if (delivery.status === "pending") await store.setAdd(OUTBOX_KEY, delivery.id);
+  else await store.setRemove(OUTBOX_KEY, delivery.id);
+  return delivery;
+}
+
+// Send `{ text, payload }` to a destination under an idempotency key.
+// A key seen before returns its existing record without sending.
+// `defer` only queues it in the outbox for the next /api/alerts/retry run,
+// so a request handler never waits on someone else's server.
+// → the delivery record { id, status: "delivered" | "pending" | "failed", … }
+export async function deliver({
+  idempotencyKey,
+  destination,
+  text,
+  payload,
+  source,
+  mint = null,
+  defer = false,
+}) {
+  const store = getDataStore();
+  const delivery = {
+    id: idempotencyKey,
+    source,
+    mint,
+    destination,
+    text,
+    payload,
+    status: "pending",
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    deliveredAt: null,
+    lastError: null,
+  };
+  if (defer) delivery.nextAttemptAt = delivery.createdAt;
+  // claim the key before sending so a concurrent run can't send it too
+  if (!(await store.setIfAbsent(deliveryKey(delivery.id), delivery, DELIVERY_TTL_MS))) {
+    const existing = await store.get(deliveryKey(delivery.id));
+    return { ...(existing || delivery), duplicate: true };
+  }
+  if (defer) {
+    await store.setAdd(OUTBOX_KEY, delivery.id);
+    return delivery;
+  }
+  return attempt(delivery);
+}
+
+export async function deliverSafe(message) {
+  try {
+    return await deliver(message);
+  } catch (e) {
+    console.error("alert delivery failed:", message?.idempotencyKey, e?.message || e);
+    return null;
+  }
+}
+
+// Retry every pending delivery whose backoff is over, longest-waiting
+// first → { retried, delivered, failed, pending }
+export async function retryPendingDeliveries({ now = Date.now() } = {}) {
+  const store = getDataStore();
+  const ids = await store.setMembers(OUTBOX_KEY);
+  const summary = { retried: 0, delivered: 0, failed: 0, pending: 0 };
+
+  const pending = [];
+  for (const id of ids) {
+    const delivery = await store.get(deliveryKey(id));
+    if (!delivery || delivery.status !== "pending") {
+      await store.setRemove(OUTBOX_KEY, id);
+      continue;
+    }
+    pending.push(delivery);
+  }
+  pending.sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+
+  for (const queued of pending) {
+    if (summary.retried >= MAX_RETRIES_PER_RUN || Date.parse(queued.nextAttemptAt) > now) {
+      summary.pending += 1;
+      continue;
+    }
+    // overlapping runs both list the id; only the lock holder sends it, and
+    // re-reads it in case the other run already did
+    if (!(await store.setIfAbsent(lockKey(queued.id), true, LOCK_TTL_MS))) continue;
+    try {
+      const delivery = await store.get(deliveryKey(queued.id));
+      if (delivery?.status !== "pending" || Date.parse(delivery.nextAttemptAt) > now) continue;
+      summary.retried += 1;
+      const done = await attempt(delivery);
+      summary[done.status] += 1;
+    } finally {
+      await store.del(lockKey(queued.id));
+    }
+  }
+  return summary;
+}
+
+// Newest first; destinations are described, never returned with secrets
+export async function getDeliveryLog(limit = 100) {
+  return getDataStore().listRange(LOG_KEY, 0, limit - 1);
+}
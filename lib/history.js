@@ -0,0 +1,234 @@
+// lib/history.js
+// Per-mint scan snapshots + "what changed since last scan" diffs.
+// A snapshot keeps only the figures that move when a rug is being set up:
+// score + axes, holder concentration, liquidity and the authorities.
+
+import { getDataStore } from "./store.js";
+
+const MAX_SNAPSHOTS_PER_MINT = 200;
+// Identical re-scans inside this window (cache hits, refresh spam) are skipped
+const MIN_SNAPSHOT_INTERVAL_MS = 60_000;
+
+const historyKey = (mint) => `glassbox:history:${mint}`;
+
+// Scan JSON (lib/scan.js) → compact snapshot.
+// Figures whose input failed (`scan.errors`) are stored as null, not as the
+// block's fallback, so the next diff doesn't read an outage as a change.
+export function snapshotFromScan(scan, scannedAt = Date.now()) {
+  const errors = scan.errors || {};
+  // the holder axis scores the fallback too, so the score goes with it;
+  // without labels every holder is unknown, so the insider figures are too
+  const holdersOk = !errors.holderSummary && !errors.holderLabels;
+  return {
+    scannedAt: new Date(scannedAt).toISOString(),
+    profile: scan.riskSummary?.profile?.name ?? null,
+    score: holdersOk ? scan.riskSummary?.score ?? null : null,
+    level: holdersOk ? scan.riskSummary?.level ?? null : null,
+    axes: holdersOk && scan.riskSummary?.axes ? { ...scan.riskSummary.axes } : null,
+    top10PctExclLP: holdersOk ? scan.holderSummary?.top10PctExcludingLP ?? null : null,
+    insidersPct: holdersOk ? scan.insiderSummary?.insidersTotalPct ?? null : null,
+    // without the full pass the count is only "at least the top 20"
+    holdersCount: !errors.holderDistribution ? scan.holderSummary?.holdersCount ?? null : null,
+    liquidityUsd: !errors.tokenMetrics ? scan.tokenMetrics?.liquidityUsd ?? null : null,
+    priceUsd: !errors.tokenMetrics ? scan.tokenMetrics?.priceUsd ?? null : null,
+    mintAuthority: scan.mintInfo?.mintAuthority
+      ? scan.mintInfo.mintAuthorityAddress || "unknown"
+      : null,
+    freezeAuthority: scan.mintInfo?.freezeAuthority
+      ? scan.mintInfo.freezeAuthorityAddress || "unknown"
+      : null,
+  };
+}
+
+function sameFigures(a, b) {
+  const { scannedAt: _a, ...restA } = a;
+  const { scannedAt: _b, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+export function formatDuration(ms) {
+  const minutes = Math.round(ms / 60_000);
+  if (minutes < 1) return "under a minute";
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? "" : "s"}`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? "" : "s"}`;
+}
+
+const short = (a) => (a && a.length > 8 ? `${a.slice(0, 4)}…${a.slice(-4)}` : a);
+const pct = (n) => `${Number(n).toFixed(0)}%`;
+
+function authorityEvent(kind, from, to, span) {
+  const label = kind === "mint" ? "Mint authority" : "Freeze authority";
+  const code = kind === "mint" ? "MINT_AUTHORITY" : "FREEZE_AUTHORITY";
+  if (from && !to) {
+    return {
+      code: `${code}_REVOKED`,
+      severity: "good",
+      from,
+      to,
+      message: `${label} was revoked`,
+    };
+  }
+  if (!from && to) {
+    return {
+      code: `${code}_ADDED`,
+      severity: "bad",
+      from,
+      to,
+      message: `${label} was re-enabled (now ${short(to)})`,
+    };
+  }
+  return {
+    code: `${code}_CHANGED`,
+    severity: "warn",
+    from,
+    to,
+    message: `${label} moved from ${short(from)} to ${short(to)} in ${span}`,
+  };
+}
+
+// Everything that moved enough to matter between two snapshots.
+// A null figure on either side (unknown at scan time) never makes an event;
+// the authorities are the exception – null there means "none".
+export function diffSnapshots(prev, curr) {
+  if (!prev || !curr) return [];
+  const events = [];
+  const span = formatDuration(Date.parse(curr.scannedAt) - Date.parse(prev.scannedAt));
+
+  const num = (v) => typeof v === "number" && !Number.isNaN(v);
+  // scores under different profiles aren't comparable
+  const sameProfile = (prev.profile || "default") === (curr.profile || "default");
+
+  if (
+    sameProfile &&
+    num(prev.score) &&
+    num(curr.score) &&
+    Math.abs(curr.score - prev.score) >= 10
+  ) {
+    const dropped = curr.score < prev.score;
+    events.push({
+      code: dropped ? "SCORE_DROPPED" : "SCORE_ROSE",
+      severity: dropped ? "bad" : "good",
+      from: prev.score,
+      to: curr.score,
+      message: `Score ${dropped ? "dropped" : "rose"} from ${prev.score} to ${curr.score} in ${span}`,
+    });
+  }
+
+  if (sameProfile && prev.level && curr.level && prev.level !== curr.level) {
+    events.push({
+      code: "RISK_LEVEL_CHANGED",
+      severity: curr.level === "high" ? "bad" : curr.level === "low" ? "good" : "warn",
+      from: prev.level,
+      to: curr.level,
+      message: `Risk level went from ${prev.level} to ${curr.level}`,
+    });
+  }
+
+  if (
+    num(prev.insidersPct) &&
+    num(curr.insidersPct) &&
+    Math.abs(curr.insidersPct - prev.insidersPct) >= 5
+  ) {
+    const up = curr.insidersPct > prev.insidersPct;
+    events.push({
+      code: up ? "INSIDERS_UP" : "INSIDERS_DOWN",
+      severity: up ? "bad" : "good",
+      from: prev.insidersPct,
+      to: curr.insidersPct,
+      message: `Insiders went from ${pct(prev.insidersPct)} to ${pct(curr.insidersPct)} in ${span}`,
+    });
+  }
+
+  if (
+    num(prev.top10PctExclLP) &&
+    num(curr.top10PctExclLP) &&
+    Math.abs(curr.top10PctExclLP - prev.top10PctExclLP) >= 5
+  ) {
+    const up = curr.top10PctExclLP > prev.top10PctExclLP;
+    events.push({
+      code: up ? "TOP10_UP" : "TOP10_DOWN",
+      severity: up ? "bad" : "good",
+      from: prev.top10PctExclLP,
+      to: curr.top10PctExclLP,
+      message: `Top 10 wallets went from ${pct(prev.top10PctExclLP)} to ${pct(curr.top10PctExclLP)} in ${span}`,
+    });
+  }
+
+  if (num(prev.liquidityUsd) && num(curr.liquidityUsd) && prev.liquidityUsd > 0) {
+    const change = (curr.liquidityUsd - prev.liquidityUsd) / prev.liquidityUsd;
+    if (Math.abs(change) >= 0.25) {
+      const down = change < 0;
+      events.push({
+        code: down ? "LIQUIDITY_DOWN" : "LIQUIDITY_UP",
+        severity: down ? "bad" : "good",
+        from: prev.liquidityUsd,
+        to: curr.liquidityUsd,
+        message: `Liquidity ${down ? "fell" : "grew"} ${pct(Math.abs(change) * 100)} in ${span}`,
+      });
+    }
+  }
+
+  if (num(prev.holdersCount) && num(curr.holdersCount) && prev.holdersCount > 0) {
+    const change = (curr.holdersCount - prev.holdersCount) / prev.holdersCount;
+    if (Math.abs(change) >= 0.2) {
+      const down = change < 0;
+      events.push({
+        code: down ? "HOLDERS_DOWN" : "HOLDERS_UP",
+        severity: down ? "warn" : "good",
+        from: prev.holdersCount,
+        to: curr.holdersCount,
+        message: `Holders went from ${prev.holdersCount} to ${curr.holdersCount} in ${span}`,
+      });
+    }
+  }
+
+  if (prev.mintAuthority !== curr.mintAuthority) {
+    events.push(authorityEvent("mint", prev.mintAuthority, curr.mintAuthority, span));
+  }
+  if (prev.freezeAuthority !== curr.freezeAuthority) {
+    events.push(
+      authorityEvent("freeze", prev.freezeAuthority, curr.freezeAuthority, span)
+    );
+  }
+
+  return events;
+}
+
+// Newest first
+export async function getHistory(mint, limit = 50) {
+  return getDataStore().listRange(historyKey(mint), 0, limit - 1);
+}
+
+// Store a snapshot of this scan; returns { snapshot, previous, changes }
+export async function recordSnapshot(mint, scan) {
+  const snapshot = snapshotFromScan(scan);
+  const [previous] = await getHistory(mint, 1);
+
+  const tooSoon =
+    previous &&
+    Date.parse(snapshot.scannedAt) - Date.parse(previous.scannedAt) <
+      MIN_SNAPSHOT_INTERVAL_MS &&
+    sameFigures(previous, snapshot);
+
+  if (!tooSoon) {
+    await getDataStore().listPush(historyKey(mint), snapshot, MAX_SNAPSHOTS_PER_MINT);
+  }
+
+  return {
+    snapshot,
+    previous: previous || null,
+    changes: diffSnapshots(previous, snapshot),
+  };
+}
+
+export async function recordSnapshotSafe(mint, scan) {
+  try {
+    return await recordSnapshot(mint, scan);
+  } catch (e) {
+    console.error("recordSnapshot failed for", mint, e?.message || e);
+    return null;
+  }
+}
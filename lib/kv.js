@@ -0,0 +1,33 @@
+// lib/kv.js
+// Minimal Upstash-compatible REST client (also what Vercel KV speaks).
+// One Redis command per call: command(["SET", key, value]).
+
+export function createKvClient({ url, token }) {
+  if (!url || !token) {
+    throw new Error("KV_REST_API_URL / KV_REST_API_TOKEN missing in env");
+  }
+
+  async function command(args) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(args.map(String)),
+    });
+    if (!res.ok) throw new Error(`KV error: ${res.status} ${res.statusText}`);
+    const json = await res.json();
+    if (json.error) throw new Error(`KV error: ${json.error}`);
+    return json.result;
+  }
+
+  return { command };
+}
+
+export function kvClientFromEnv(env = process.env) {
+  return createKvClient({
+    url: env.KV_REST_API_URL,
+    token: env.KV_REST_API_TOKEN,
+  });
+}
@@ -0,0 +1,64 @@
+// lib/labels.js
+// Curated address labels + holder categories for lib/scan.js.
+// - config/address-labels.json maps addresses → { label, category }
+//   (exchange hot wallets, burn addresses, AMM / launchpad authorities)
+// - GLASSBOX_ADDRESS_LABELS=<path> swaps in another file of the same shape
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_LABELS_FILE = fileURLToPath(
+  new URL("../config/address-labels.json", import.meta.url)
+);
+
+// What a top holder is. `insider: false` categories hold tokens nobody can
+// dump at will from their own wallet (pools, curves, burns, locks, exchange
+// omnibus wallets), so insider / whale maths skips them.
+export const HOLDER_CATEGORIES = {
+  wallet: { label: "Wallet", insider: true },
+  multisig: { label: "Multisig", insider: true },
+  program: { label: "Program account", insider: true },
+  exchange: { label: "Exchange", insider: false },
+  "amm-vault": { label: "AMM vault", insider: false },
+  "bonding-curve": { label: "Bonding curve", insider: false },
+  locker: { label: "Lock / vesting", insider: false },
+  burn: { label: "Burned", insider: false },
+  protocol: { label: "Protocol vault", insider: false },
+};
+
+// No category = labelling failed; that holder is unknown, not an insider
+export function countsAsInsider(category) {
+  if (category == null) return false;
+  return HOLDER_CATEGORIES[category]?.insider ?? true;
+}
+
+export function loadAddressLabels(file) {
+  const labels = JSON.parse(readFileSync(file, "utf8"));
+  for (const [address, entry] of Object.entries(labels)) {
+    if (typeof entry?.label !== "string" || !HOLDER_CATEGORIES[entry.category]) {
+      throw new Error(
+        `Address label "${address}": needs a label and one of ${Object.keys(HOLDER_CATEGORIES).join(", ")}`
+      );
+    }
+  }
+  return labels;
+}
+
+let labels = null;
+
+function allLabels() {
+  if (!labels) {
+    const file = process.env.GLASSBOX_ADDRESS_LABELS
+      ? path.resolve(process.env.GLASSBOX_ADDRESS_LABELS)
+      : DEFAULT_LABELS_FILE;
+    labels = loadAddressLabels(file);
+  }
+  return labels;
+}
+
+// → { address, label, category } or null
+export function lookupAddressLabel(address) {
+  const entry = address ? allLabels()[address] : null;
+  return entry ? { address, ...entry } : null;
+}
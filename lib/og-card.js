@@ -0,0 +1,407 @@
+// lib/og-card.js
+// 1200×630 PNG social card for a scan (served by /api/og), drawn in plain
+// Node – no canvas, no headless browser:
+// - token logo (PNG logos only; anything else gets an initials disc)
+// - name, symbol, short mint
+// - score gauge coloured by risk level
+// - up to six key flags (authorities, holders, liquidity, test sell, Token-2022),
+//   worst first
+// Text uses a built-in 5×7 pixel font, so non-ASCII characters show as "?".
+
+import { decodePng, encodePng, isPng } from "./png.js";
+import { assertPublicHost } from "./public-host.js";
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+const LOGO_TIMEOUT_MS = 4_000;
+const MAX_LOGO_BYTES = 3 * 1024 * 1024;
+
+const COLORS = {
+  bg: "#05060a",
+  card: "#0b0f16",
+  border: "#16251f",
+  track: "#1e2533",
+  accent: "#16f29a",
+  text: "#f7f9ff",
+  muted: "#9ca3b5",
+  good: "#22c55e",
+  warn: "#facc15",
+  bad: "#ff4b6b",
+  disc: "#1e293b",
+};
+const LEVEL_COLORS = { low: COLORS.good, medium: COLORS.warn, high: COLORS.bad };
+const LEVEL_LABELS = { low: "LOW RISK", medium: "MEDIUM RISK", high: "HIGH RISK" };
+
+// --- Pixel font ---------------------------------------------------------
+// ASCII 32–126, seven rows per glyph as 5-bit masks (bit 4 = left column)
+
+const GLYPHS = [
+  "00000000000000", "04040404040004", "0a0a0000000000", "0a0a1f0a1f0a0a",
+  "040f140e051e04", "18190204081303", "0c12140815120d", "04040000000000",
+  "02040808080402", "08040202020408", "0004150e150400", "0004041f040400",
+  "000000000c0408", "0000001f000000", "00000000000c0c", "00010204081000",
+  "0e11131519110e", "040c040404040e", "0e11010204081f", "1f02040201110e",
+  "02060a121f0202", "1f101e0101110e", "0608101e11110e", "1f010204080808",
+  "0e11110e11110e", "0e11110f01020c", "000c0c000c0c00", "000c0c000c0408",
+  "02040810080402", "00001f001f0000", "08040201020408", "0e110102040004",
+  "0e11010d15150e", "0e1111111f1111", "1e11111e11111e", "0e11101010110e",
+  "1c12111111121c", "1f10101e10101f", "1f10101e101010", "0e11101711110f",
+  "1111111f111111", "0e04040404040e", "0702020202120c", "11121418141211",
+  "1010101010101f", "111b1515111111", "11111915131111", "0e11111111110e",
+  "1e11111e101010", "0e11111115120d", "1e11111e141211", "0f10100e01011e",
+  "1f040404040404", "1111111111110e", "11111111110a04", "1111111515150a",
+  "11110a040a1111", "1111110a040404", "1f01020408101f", "0e08080808080e",
+  "00100804020100", "0e02020202020e", "040a1100000000", "0000000000001f",
+  "08040000000000", "00000e010f110f", "1010161911111e", "00000e1010110e",
+  "01010d1311110f", "00000e111f100e", "0609081c080808", "000f11110f010e",
+  "10101619111111", "04000c0404040e", "0200060202120c", "10101214181412",
+  "0c04040404040e", "00001a15151111", "00001619111111", "00000e1111110e",
+  "00001e111e1010", "00000d130f0101", "00001619101010", "00000e100e011e",
+  "08081c08080906", "0000111111130d", "00001111110a04", "0000111115150a",
+  "0000110a040a11", "000011110f010e", "00001f0204081f", "02040408040402",
+  "04040404040404", "08040402040408", "00000815020000",
+];
+
+// Unicode punctuation that shows up in names and our own labels
+const CHAR_MAP = { "–": "-", "—": "-", "…": "...", "·": "-", "’": "'", "‘": "'", "“": '"', "”": '"' };
+
+const glyphRows = (ch) => {
+  const hex = GLYPHS[ch.charCodeAt(0) - 32] || GLYPHS[31]; // "?"
+  const rows = [];
+  for (let i = 0; i < 14; i += 2) rows.push(parseInt(hex.slice(i, i + 2), 16));
+  return rows;
+};
+
+// Anything the font can't draw becomes "?"
+export function toCardText(value) {
+  return Array.from(String(value ?? ""))
+    .map((ch) => CHAR_MAP[ch] ?? ch)
+    .join("")
+    .replace(/[^\x20-\x7e]/g, "?");
+}
+
+const textWidth = (text, scale) => (text.length ? text.length * 6 * scale - scale : 0);
+
+// Longest prefix (with "...") that fits in `maxWidth`
+function fitText(text, scale, maxWidth) {
+  if (textWidth(text, scale) <= maxWidth) return text;
+  let cut = text;
+  while (cut.length && textWidth(cut + "...", scale) > maxWidth) cut = cut.slice(0, -1);
+  return cut.trimEnd() + "...";
+}
+
+// --- Canvas -------------------------------------------------------------
+
+function parseColor(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+function createCanvas(width, height, background) {
+  const data = Buffer.alloc(width * height * 4);
+  const [r, g, b] = parseColor(background);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  }
+
+  // Alpha-blend one pixel (opaque canvas, so only the colour moves)
+  const blend = (x, y, [r, g, b], alpha) => {
+    if (alpha <= 0 || x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 4;
+    const a = alpha >= 1 ? 1 : alpha;
+    data[i] += Math.round((r - data[i]) * a);
+    data[i + 1] += Math.round((g - data[i + 1]) * a);
+    data[i + 2] += Math.round((b - data[i + 2]) * a);
+  };
+
+  // Shape by coverage: `cover(px, py)` → 0..1 for pixel centres in the box
+  const fillShape = (x0, y0, x1, y1, color, cover) => {
+    const rgb = parseColor(color);
+    for (let y = Math.max(0, Math.floor(y0)); y < Math.min(height, Math.ceil(y1)); y++) {
+      for (let x = Math.max(0, Math.floor(x0)); x < Math.min(width, Math.ceil(x1)); x++) {
+        blend(x, y, rgb, cover(x + 0.5, y + 0.5));
+      }
+    }
+  };
+
+  return {
+    width,
+    height,
+    data,
+    blend,
+
+    fillRect(x, y, w, h, color) {
+      fillShape(x, y, x + w, y + h, color, () => 1);
+    },
+
+    fillRoundRect(x, y, w, h, radius, color) {
+      fillShape(x, y, x + w, y + h, color, (px, py) => {
+        const dx = Math.max(x + radius - px, 0, px - (x + w - radius));
+        const dy = Math.max(y + radius - py, 0, py - (y + h - radius));
+        return clamp01(radius - Math.hypot(dx, dy) + 0.5);
+      });
+    },
+
+    fillCircle(cx, cy, radius, color) {
+      fillShape(cx - radius - 1, cy - radius - 1, cx + radius + 1, cy + radius + 1, color, (px, py) =>
+        clamp01(radius - Math.hypot(px - cx, py - cy) + 0.5)
+      );
+    },
+
+    // Arc stroke with round caps; angles in radians, clockwise from +x
+    strokeArc(cx, cy, radius, thickness, start, sweep, color) {
+      if (sweep <= 0) return;
+      const outer = radius + thickness / 2;
+      const inner = radius - thickness / 2;
+      const turn = Math.PI * 2;
+      fillShape(cx - outer - 1, cy - outer - 1, cx + outer + 1, cy + outer + 1, color, (px, py) => {
+        const d = Math.hypot(px - cx, py - cy);
+        const t = (((Math.atan2(py - cy, px - cx) - start) % turn) + turn) % turn;
+        if (t > sweep) return 0;
+        return clamp01(outer - d + 0.5) * clamp01(d - inner + 0.5);
+      });
+      for (const angle of [start, start + sweep]) {
+        this.fillCircle(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius, thickness / 2, color);
+      }
+    },
+
+    // Pixel-font text; `align` is "left" | "center" | "right" around x
+    drawText(text, x, y, { scale = 4, color = COLORS.text, align = "left" } = {}) {
+      const rgb = parseColor(color);
+      const w = textWidth(text, scale);
+      let left = align === "center" ? x - w / 2 : align === "right" ? x - w : x;
+      left = Math.round(left);
+      for (const ch of text) {
+        const rows = glyphRows(ch);
+        for (let row = 0; row < 7; row++) {
+          for (let col = 0; col < 5; col++) {
+            if (!(rows[row] & (0x10 >> col))) continue;
+            for (let sy = 0; sy < scale; sy++) {
+              for (let sx = 0; sx < scale; sx++) {
+                blend(left + col * scale + sx, y + row * scale + sy, rgb, 1);
+              }
+            }
+          }
+        }
+        left += 6 * scale;
+      }
+      return w;
+    },
+
+    // Image (RGBA) box-sampled into a circle
+    drawImageCircle(image, cx, cy, radius) {
+      const size = radius * 2;
+      const sx = image.width / size;
+      const sy = image.height / size;
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const cover = clamp01(radius - Math.hypot(x + 0.5 - radius, y + 0.5 - radius) + 0.5);
+          if (!cover) continue;
+          const x0 = Math.floor(x * sx);
+          const y0 = Math.floor(y * sy);
+          const x1 = Math.max(x0 + 1, Math.floor((x + 1) * sx));
+          const y1 = Math.max(y0 + 1, Math.floor((y + 1) * sy));
+          let r = 0, g = 0, b = 0, a = 0;
+          for (let iy = y0; iy < y1; iy++) {
+            for (let ix = x0; ix < x1; ix++) {
+              const i = (iy * image.width + ix) * 4;
+              const pa = image.data[i + 3];
+              r += image.data[i] * pa;
+              g += image.data[i + 1] * pa;
+              b += image.data[i + 2] * pa;
+              a += pa;
+            }
+          }
+          if (!a) continue;
+          const alpha = (a / ((x1 - x0) * (y1 - y0) * 255)) * cover;
+          blend(Math.round(cx - radius) + x, Math.round(cy - radius) + y, [r / a, g / a, b / a], alpha);
+        }
+      }
+    },
+  };
+}
+
+// --- Flags --------------------------------------------------------------
+
+const AXIS_LEVEL = (score) => (score == null ? null : score >= 70 ? "good" : score >= 40 ? "warn" : "bad");
+const RISK_TO_FLAG = { low: "good", medium: "warn", high: "bad" };
+const FLAG_ORDER = { bad: 0, warn: 1, good: 2 };
+const MAX_FLAGS = 6;
+
+function authorityFlag(role, active, auth) {
+  if (!active) return { text: `${role} authority revoked`, level: "good" };
+  if (auth?.trusted) return { text: `${role} authority: ${auth.label || "issuer"}`, level: "good" };
+  return { text: `${role} authority active`, level: role === "Mint" ? "bad" : "warn" };
+}
+
+// Scan JSON → [{ text, level: "good" | "warn" | "bad" }], worst first
+export function buildCardFlags(scan) {
+  const flags = [];
+  const mintInfo = scan.mintInfo || {};
+  if (scan.mintInfo) {
+    flags.push(authorityFlag("Mint", mintInfo.mintAuthority, mintInfo.authorities?.mint));
+    flags.push(authorityFlag("Freeze", mintInfo.freezeAuthority, mintInfo.authorities?.freeze));
+  }
+
+  for (const f of scan.mintExtensions?.flags || []) {
+    if (f.level === "bad" || f.level === "warn") flags.push({ text: f.label, level: f.level });
+  }
+
+  if (scan.sellSimulation?.sellable === false) {
+    flags.push({ text: "Test sell failed", level: "bad" });
+  } else if (scan.sellSimulation?.sellable === true) {
+    flags.push({ text: "Test sell OK", level: "good" });
+  }
+
+  const top10 = scan.holderSummary?.top10PctExcludingLP;
+  if (typeof top10 === "number") {
+    flags.push({
+      text: `Top 10 hold ${top10.toFixed(1)}%`,
+      level: AXIS_LEVEL(scan.riskSummary?.axes?.holderScore) || "warn",
+    });
+  }
+
+  const liq = scan.liquidityTruth;
+  if (liq?.level) {
+    flags.push({ text: `Liquidity ${liq.label.toLowerCase()}`, level: RISK_TO_FLAG[liq.level] });
+  }
+
+  return flags
+    .map((f, i) => ({ ...f, i }))
+    .sort((a, b) => FLAG_ORDER[a.level] - FLAG_ORDER[b.level] || a.i - b.i)
+    .slice(0, MAX_FLAGS)
+    .map(({ text, level }) => ({ text, level }));
+}
+
+// --- Logo ---------------------------------------------------------------
+
+function logoUrl(uri) {
+  if (!uri) return null;
+  if (uri.startsWith("ipfs://")) return `https://ipfs.io/ipfs/${uri.slice("ipfs://".length)}`;
+  return /^https?:\/\//.test(uri) ? uri : null;
+}
+
+// tokenMeta.logoURI → decoded PNG, or null (not PNG, too big, slow, broken,
+// or on a private host – the URI is whatever the token creator set)
+// Response body → Buffer, or null (download aborted) once it passes
+// `maxBytes`; Content-Length is missing on chunked responses
+async function readCapped(body, maxBytes, controller) {
+  if (!body) return null;
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      controller.abort();
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+export async function fetchLogoSafe(uri) {
+  const url = logoUrl(uri);
+  if (!url) return null;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LOGO_TIMEOUT_MS);
+  try {
+    await assertPublicHost(url, "logoURI");
+    // a redirect could lead to a private host, so none are followed
+    const res = await fetch(url, { redirect: "error", signal: controller.signal });
+    if (!res.ok) return null;
+    if (Number(res.headers.get("content-length")) > MAX_LOGO_BYTES) return null;
+    const buf = await readCapped(res.body, MAX_LOGO_BYTES, controller);
+    if (!buf || !isPng(buf)) return null;
+    return decodePng(buf);
+  } catch (e) {
+    console.error("og-card logo fetch failed:", url, e?.message || e);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// --- Card ---------------------------------------------------------------
+
+function shortMint(mint) {
+  const m = toCardText(mint);
+  return m.length > 12 ? `${m.slice(0, 6)}...${m.slice(-6)}` : m;
+}
+
+// Scan JSON (lib/scan.js) + optional decoded logo → PNG Buffer
+export function renderScanCard(scan, { logo = null } = {}) {
+  const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT, COLORS.bg);
+  const meta = scan.tokenMeta || {};
+  const risk = scan.riskSummary || {};
+  const levelColor = LEVEL_COLORS[risk.level] || COLORS.muted;
+
+  canvas.fillRoundRect(32, 32, 1136, 566, 28, COLORS.border);
+  canvas.fillRoundRect(35, 35, 1130, 560, 25, COLORS.card);
+
+  // header
+  canvas.drawText("GLASSBOX", 80, 76, { scale: 4, color: COLORS.accent });
+  canvas.drawText("Solana token risk scan", 1120, 80, { scale: 3, color: COLORS.muted, align: "right" });
+
+  // logo
+  const logoX = 170;
+  const logoY = 230;
+  if (logo) {
+    canvas.fillCircle(logoX, logoY, 90, COLORS.disc);
+    canvas.drawImageCircle(logo, logoX, logoY, 88);
+  } else {
+    canvas.fillCircle(logoX, logoY, 88, COLORS.disc);
+    const initials = toCardText(meta.symbol || meta.name || "?").slice(0, 2).toUpperCase();
+    canvas.drawText(initials, logoX, logoY - 28, { scale: 8, color: COLORS.text, align: "center" });
+  }
+
+  // name / symbol / mint
+  const textX = 295;
+  const textMax = 800 - textX;
+  const name = toCardText(meta.name || "Unknown Token");
+  const nameScale = textWidth(name, 7) <= textMax ? 7 : 5;
+  canvas.drawText(fitText(name, nameScale, textMax), textX, 160, { scale: nameScale });
+  if (meta.symbol) {
+    canvas.drawText(fitText(`$${toCardText(meta.symbol)}`, 4, textMax), textX, 225, {
+      scale: 4,
+      color: COLORS.accent,
+    });
+  }
+  canvas.drawText(shortMint(meta.mint), textX, 275, { scale: 3, color: COLORS.muted });
+
+  // gauge: 270° track opening at the bottom, filled up to the score
+  const gx = 985;
+  const gy = 240;
+  const start = Math.PI * 0.75;
+  const sweep = Math.PI * 1.5;
+  canvas.strokeArc(gx, gy, 115, 22, start, sweep, COLORS.track);
+  if (typeof risk.score === "number") {
+    const filled = sweep * Math.max(0, Math.min(100, risk.score)) / 100;
+    canvas.strokeArc(gx, gy, 115, 22, start, filled, levelColor);
+    canvas.drawText(String(Math.round(risk.score)), gx, gy - 35, { scale: 10, align: "center" });
+    canvas.drawText("/100", gx, gy + 45, { scale: 3, color: COLORS.muted, align: "center" });
+  } else {
+    canvas.drawText("?", gx, gy - 35, { scale: 10, color: COLORS.muted, align: "center" });
+  }
+  canvas.drawText(LEVEL_LABELS[risk.level] || "UNKNOWN", gx, gy + 118, {
+    scale: 4,
+    color: levelColor,
+    align: "center",
+  });
+
+  // flags, two columns of three
+  buildCardFlags(scan).forEach((flag, i) => {
+    const x = i < 3 ? 80 : 620;
+    const y = 405 + (i % 3) * 50;
+    canvas.fillCircle(x + 10, y + 10, 9, COLORS[flag.level]);
+    canvas.drawText(fitText(toCardText(flag.text), 3, 470), x + 32, y, { scale: 3 });
+  });
+
+  return encodePng(CARD_WIDTH, CARD_HEIGHT, canvas.data);
+}
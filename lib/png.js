@@ -0,0 +1,186 @@
+// lib/png.js
+// Minimal PNG codec on node:zlib, for the OG card (lib/og-card.js).
+// - encodePng: RGBA pixels → PNG (8-bit RGBA, filter 0 on every row)
+// - decodePng: non-interlaced 8-bit PNGs (grey, grey+alpha, RGB, RGBA,
+//   palette with tRNS) → RGBA; anything else throws with `.status` 415
+
+import { deflateSync, inflateSync } from "node:zlib";
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// logos are drawn at 120 px; this still allows 1024×1024 sources (4 MB RGBA)
+const MAX_PIXELS = 1024 * 1024;
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngError(message) {
+  const err = new Error(message);
+  err.status = 415;
+  return err;
+}
+
+// --- Encode -------------------------------------------------------------
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// `rgba` holds width * height * 4 bytes, rows top to bottom
+export function encodePng(width, height, rgba) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  // compression, filter, interlace all 0
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflateSync(raw, { level: 6 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// --- Decode -------------------------------------------------------------
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Undo the per-row filters in place → Buffer of bare scanlines
+function unfilter(data, height, stride, bpp) {
+  const out = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? out[row + x - bpp] : 0;
+      const up = y > 0 ? out[prev + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+      let value = data[src + x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw pngError(`Unknown PNG filter ${filter}`);
+      out[row + x] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+export function isPng(buf) {
+  return buf?.length > 8 && buf.subarray(0, 8).equals(SIGNATURE);
+}
+
+// PNG bytes → { width, height, data: RGBA Buffer }
+export function decodePng(buf) {
+  if (!isPng(buf)) throw pngError("Not a PNG");
+
+  let header = null;
+  let palette = null;
+  let alpha = null;
+  const idat = [];
+  for (let pos = 8; pos + 8 <= buf.length; ) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString("ascii", pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        depth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      alpha = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header) throw pngError("PNG without IHDR");
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (depth !== 8 || !channels) throw pngError(`Unsupported PNG format (depth ${depth}, color ${colorType})`);
+  if (interlace) throw pngError("Interlaced PNGs are not supported");
+  if (!width || !height || width * height > MAX_PIXELS) throw pngError("PNG too large");
+  if (colorType === 3 && !palette) throw pngError("Palette PNG without PLTE");
+
+  const stride = width * channels;
+  // the header fixes the size; a few KB of IDAT must not inflate to gigabytes
+  const expected = (stride + 1) * height;
+  let raw;
+  try {
+    raw = inflateSync(Buffer.concat(idat), { maxOutputLength: expected });
+  } catch (e) {
+    throw pngError(e?.code === "ERR_BUFFER_TOO_LARGE" ? "PNG data larger than its header" : "Corrupt PNG data");
+  }
+  if (raw.length < expected) throw pngError("Truncated PNG data");
+  const pixels = unfilter(raw, height, stride, channels);
+
+  const out = Buffer.alloc(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    let r, g, b, a = 255;
+    if (colorType === 0) {
+      r = g = b = pixels[j];
+    } else if (colorType === 4) {
+      r = g = b = pixels[j];
+      a = pixels[j + 1];
+    } else if (colorType === 2) {
+      [r, g, b] = [pixels[j], pixels[j + 1], pixels[j + 2]];
+    } else if (colorType === 6) {
+      [r, g, b, a] = [pixels[j], pixels[j + 1], pixels[j + 2], pixels[j + 3]];
+    } else {
+      const index = pixels[j];
+      r = palette[index * 3] ?? 0;
+      g = palette[index * 3 + 1] ?? 0;
+      b = palette[index * 3 + 2] ?? 0;
+      a = alpha && index < alpha.length ? alpha[index] : 255;
+    }
+    out[i * 4] = r;
+    out[i * 4 + 1] = g;
+    out[i * 4 + 2] = b;
+    out[i * 4 + 3] = a;
+  }
+  return { width, height, data: out };
+}
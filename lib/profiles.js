@@ -0,0 +1,85 @@
+// lib/profiles.js
+// Named scoring profiles (weights + thresholds) for lib/scan.js.
+// - config/scoring-profiles.json ships "default", "degen", "conservative"
+// - GLASSBOX_SCORING_PROFILES=<path> swaps in another file of the same shape
+// - /api/check?profile=<name> picks one; the resolved settings are echoed
+//   in riskSummary.profile so a score can be reproduced later
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const DEFAULT_PROFILE = "default";
+
+const DEFAULT_PROFILES_FILE = fileURLToPath(
+  new URL("../config/scoring-profiles.json", import.meta.url)
+);
+
+// Every profile must set these (section → numeric fields)
+const REQUIRED_FIELDS = {
+  weights: ["mint", "holders", "liquidity", "age"],
+  insiders: ["insiderPct", "whalePct"],
+  holders: ["top10ExclLpGood", "top10ExclLpOk", "insidersGood", "insidersOk"],
+  washTrading: ["fakeRatio", "fakeMaxTx", "suspiciousRatio", "suspiciousMaxTx"],
+  lpLock: ["weakPct", "partialPct"],
+  ageHours: ["veryNew", "new", "young"],
+  snipers: ["holdPctWarn", "holdPctBad"],
+  sellTax: ["warnPct", "badPct"],
+  levels: ["lowMinScore", "highMaxScore"],
+};
+
+function validateProfile(name, profile) {
+  for (const [section, fields] of Object.entries(REQUIRED_FIELDS)) {
+    for (const field of fields) {
+      if (typeof profile?.[section]?.[field] !== "number") {
+        throw new Error(`Scoring profile "${name}": ${section}.${field} must be a number`);
+      }
+    }
+  }
+  const w = profile.weights;
+  const total = w.mint + w.holders + w.liquidity + w.age;
+  if (Math.abs(total - 1) > 0.001) {
+    throw new Error(`Scoring profile "${name}": weights add up to ${total}, not 1`);
+  }
+}
+
+export function loadScoringProfiles(file) {
+  const profiles = JSON.parse(readFileSync(file, "utf8"));
+  for (const [name, profile] of Object.entries(profiles)) {
+    validateProfile(name, profile);
+  }
+  if (!profiles[DEFAULT_PROFILE]) {
+    throw new Error(`Scoring profiles in ${file} have no "${DEFAULT_PROFILE}" entry`);
+  }
+  return profiles;
+}
+
+let profiles = null;
+
+function allProfiles() {
+  if (!profiles) {
+    const file = process.env.GLASSBOX_SCORING_PROFILES
+      ? path.resolve(process.env.GLASSBOX_SCORING_PROFILES)
+      : DEFAULT_PROFILES_FILE;
+    profiles = loadScoringProfiles(file);
+  }
+  return profiles;
+}
+
+export function listScoringProfiles() {
+  return Object.keys(allProfiles());
+}
+
+// → { name, ...settings }; unknown names throw with .status 400
+export function getScoringProfile(name) {
+  const key = name || DEFAULT_PROFILE;
+  const profile = allProfiles()[key];
+  if (!profile) {
+    const err = new Error(
+      `Unknown scoring profile "${key}" (available: ${listScoringProfiles().join(", ")})`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return { name: key, ...structuredClone(profile) };
+}
@@ -0,0 +1,62 @@
+// lib/programs.js
+// Program ID registry for origin attribution in lib/scan.js.
+// - config/programs.json maps program IDs → launchpads and AMMs
+// - GLASSBOX_PROGRAM_REGISTRY=<path> swaps in another file of the same shape
+//
+// Entry: { key, label, kind: "launchpad" | "amm", detail,
+//          liquidity?: "position-nft" }  (concentrated pools, no LP mint)
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_REGISTRY_FILE = fileURLToPath(
+  new URL("../config/programs.json", import.meta.url)
+);
+
+const KINDS = new Set(["launchpad", "amm"]);
+const LIQUIDITY_MODELS = new Set(["position-nft"]);
+
+function validateEntry(programId, entry) {
+  for (const field of ["key", "label", "detail"]) {
+    if (typeof entry?.[field] !== "string" || !entry[field]) {
+      throw new Error(`Program registry "${programId}": ${field} must be a string`);
+    }
+  }
+  if (!KINDS.has(entry.kind)) {
+    throw new Error(
+      `Program registry "${programId}": kind must be one of ${[...KINDS].join(", ")}`
+    );
+  }
+  if (entry.liquidity !== undefined && !LIQUIDITY_MODELS.has(entry.liquidity)) {
+    throw new Error(
+      `Program registry "${programId}": liquidity must be one of ${[...LIQUIDITY_MODELS].join(", ")}`
+    );
+  }
+}
+
+export function loadProgramRegistry(file) {
+  const registry = JSON.parse(readFileSync(file, "utf8"));
+  for (const [programId, entry] of Object.entries(registry)) {
+    validateEntry(programId, entry);
+  }
+  return registry;
+}
+
+let registry = null;
+
+function allPrograms() {
+  if (!registry) {
+    const file = process.env.GLASSBOX_PROGRAM_REGISTRY
+      ? path.resolve(process.env.GLASSBOX_PROGRAM_REGISTRY)
+      : DEFAULT_REGISTRY_FILE;
+    registry = loadProgramRegistry(file);
+  }
+  return registry;
+}
+
+// → { programId, key, label, kind, detail } or null when unknown
+export function lookupProgram(programId) {
+  const entry = programId ? allPrograms()[programId] : null;
+  return entry ? { programId, ...entry } : null;
+}
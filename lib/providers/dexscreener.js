@@ -0,0 +1,32 @@
+// lib/providers/dexscreener.js
+// DexScreener token-pairs API. Base URL is overridable so CI can point it
+// at a local stand-in.
+
+// /tokens/v1 accepts up to 30 comma-separated addresses per call
+const MAX_TOKENS_PER_CALL = 30;
+
+export function createDexScreenerProvider({
+  baseUrl = "https://api.dexscreener.com",
+} = {}) {
+  return {
+    name: "dexscreener",
+    async fetchTokenPairs(chainId, mint) {
+      const res = await fetch(`${baseUrl}/token-pairs/v1/${chainId}/${mint}`);
+      if (!res.ok) throw new Error(`DexScreener error: ${res.status}`);
+      return res.json();
+    },
+
+    // Pairs for many tokens in as few calls as possible (flat array)
+    async fetchPairsForTokens(chainId, mints) {
+      const pairs = [];
+      for (let i = 0; i < mints.length; i += MAX_TOKENS_PER_CALL) {
+        const chunk = mints.slice(i, i + MAX_TOKENS_PER_CALL);
+        const res = await fetch(`${baseUrl}/tokens/v1/${chainId}/${chunk.join(",")}`);
+        if (!res.ok) throw new Error(`DexScreener error: ${res.status}`);
+        const json = await res.json();
+        if (Array.isArray(json)) pairs.push(...json);
+      }
+      return pairs;
+    },
+  };
+}
@@ -0,0 +1,14 @@
+// lib/providers/helius.js
+// Helius mainnet RPC + DAS.
+// IMPORTANT: never hard-code HELIUS key, only use process.env
+
+import { createRpcProvider } from "./rpc.js";
+
+export function createHeliusProvider(apiKey) {
+  if (!apiKey) throw new Error("HELIUS_API_KEY missing in env");
+  return createRpcProvider({
+    name: "helius",
+    url: `https://mainnet.helius-rpc.com/?api-key=${apiKey}`,
+    supportsDas: true,
+  });
+}
@@ -0,0 +1,155 @@
+// lib/providers/index.js
+// Picks the data providers from env and chains RPC vendors for failover.
+//
+//   GLASSBOX_PROVIDER      comma list, tried in order:
+//                          helius | rpc | triton | quicknode | mock
+//                          (default: helius)
+//   HELIUS_API_KEY         helius
+//   SOLANA_RPC_URL         rpc (any generic Solana RPC)
+//   TRITON_RPC_URL         triton
+//   QUICKNODE_RPC_URL      quicknode (set QUICKNODE_DAS=1 if the DAS add-on is on)
+//   GLASSBOX_DEX_PROVIDER  dexscreener | mock (default: mock when
+//                          GLASSBOX_PROVIDER starts with mock)
+//   DEXSCREENER_BASE_URL   point DexScreener at a local stand-in
+//   JUPITER_API_URL        Jupiter swap API (sell simulation; off in mock mode)
+//   GLASSBOX_SIM_RPC_URL   RPC for simulateTransaction, e.g. a local
+//                          solana-test-validator with the pool cloned
+//                          (default: the normal RPC chain)
+//   GLASSBOX_FIXTURES_DIR  fixture root for the mock (default: <repo>/fixtures)
+//   GLASSBOX_RECORD_FIXTURES=1  write live responses into the fixture dir
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createDexScreenerProvider } from "./dexscreener.js";
+import { createHeliusProvider } from "./helius.js";
+import { createJupiterProvider } from "./jupiter.js";
+import {
+  createMockDexProvider,
+  createMockProvider,
+  withRecording,
+} from "./mock.js";
+import { createRpcProvider } from "./rpc.js";
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL("../../fixtures", import.meta.url));
+
+function fixturesDir(env) {
+  return env.GLASSBOX_FIXTURES_DIR
+    ? path.resolve(env.GLASSBOX_FIXTURES_DIR)
+    : DEFAULT_FIXTURES_DIR;
+}
+
+function createNamedProvider(name, env) {
+  switch (name) {
+    case "helius":
+      return createHeliusProvider(env.HELIUS_API_KEY);
+    case "rpc":
+      return createRpcProvider({ name, url: env.SOLANA_RPC_URL });
+    case "triton":
+      return createRpcProvider({
+        name,
+        url: env.TRITON_RPC_URL,
+        supportsDas: true,
+      });
+    case "quicknode":
+      return createRpcProvider({
+        name,
+        url: env.QUICKNODE_RPC_URL,
+        supportsDas: env.QUICKNODE_DAS === "1",
+      });
+    case "mock":
+      return createMockProvider({ dir: fixturesDir(env) });
+    default:
+      throw new Error(`Unknown data provider "${name}"`);
+  }
+}
+
+// Rate limits, 5xx and network failures are worth another vendor;
+// bad params or "account not found" are not.
+export function isRetryableError(err) {
+  if (!err) return false;
+  if (err.status === 429 || err.status >= 500) return true;
+  if (err.code === -32429 || err.code === -32005) return true;
+  if (err.name === "TypeError" || err.name === "AbortError") return true;
+  return /rate limit|too many requests/i.test(err.message || "");
+}
+
+async function withFailover(providers, label, call) {
+  let lastErr = null;
+  for (const provider of providers) {
+    try {
+      return await call(provider);
+    } catch (e) {
+      lastErr = e;
+      if (!isRetryableError(e)) throw e;
+      console.warn(`${provider.name} failed on ${label}, trying next:`, e.message);
+    }
+  }
+  throw lastErr;
+}
+
+export function createFailoverProvider(providers) {
+  const dasProviders = providers.filter((p) => p.supportsDas);
+  return {
+    name: providers.map((p) => p.name).join(">"),
+    providers,
+    rpc: (method, params) =>
+      withFailover(providers, method, (p) => p.rpc(method, params)),
+    // No DAS-capable vendor configured → callers just get no metadata
+    getAsset: (id) =>
+      dasProviders.length
+        ? withFailover(dasProviders, "getAsset", (p) => p.getAsset(id))
+        : Promise.resolve(null),
+    das: (method, params) =>
+      dasProviders.length
+        ? withFailover(dasProviders, method, (p) => p.das(method, params))
+        : Promise.resolve(null),
+  };
+}
+
+export function createDataProviders(env = process.env) {
+  const names = (env.GLASSBOX_PROVIDER || "helius")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+  const record = env.GLASSBOX_RECORD_FIXTURES === "1";
+  const dir = fixturesDir(env);
+
+  let rpcProviders = names.map((n) => createNamedProvider(n, env));
+  if (record) rpcProviders = rpcProviders.map((p) => withRecording(p, dir));
+
+  const dexName =
+    env.GLASSBOX_DEX_PROVIDER || (names[0] === "mock" ? "mock" : "dexscreener");
+  let dex =
+    dexName === "mock"
+      ? createMockDexProvider({ dir })
+      : createDexScreenerProvider({ baseUrl: env.DEXSCREENER_BASE_URL });
+  if (record) dex = withRecording(dex, dir);
+
+  const rpc = createFailoverProvider(rpcProviders);
+  const swap =
+    names[0] === "mock" && !env.JUPITER_API_URL
+      ? null
+      : createJupiterProvider(env.JUPITER_API_URL ? { baseUrl: env.JUPITER_API_URL } : {});
+  const simRpc = env.GLASSBOX_SIM_RPC_URL
+    ? createRpcProvider({ name: "sim", url: env.GLASSBOX_SIM_RPC_URL })
+    : rpc;
+
+  return { rpc, dex, swap, simRpc };
+}
+
+let cached = null;
+let cachedError = null;
+
+// Built once per process from env. Config errors are kept so every request
+// gets the same clear message instead of a crash at import time.
+export function getDataProviders() {
+  if (!cached && !cachedError) {
+    try {
+      cached = createDataProviders();
+    } catch (e) {
+      cachedError = e;
+    }
+  }
+  if (cachedError) throw cachedError;
+  return cached;
+}
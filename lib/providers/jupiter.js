@@ -0,0 +1,39 @@
+// lib/providers/jupiter.js
+// Jupiter swap API – quotes + unsigned swap transactions, used to build the
+// sell transaction for the honeypot simulation. Base URL is overridable so
+// tests can point it at a local stand-in.
+
+export function createJupiterProvider({
+  baseUrl = "https://lite-api.jup.ag/swap/v1",
+} = {}) {
+  async function request(path, init) {
+    const res = await fetch(`${baseUrl}${path}`, init);
+    const json = await res.json().catch(() => null);
+    if (!res.ok) {
+      const err = new Error(json?.error || `Jupiter error: ${res.status}`);
+      err.status = res.status;
+      err.code = json?.errorCode;
+      throw err;
+    }
+    return json;
+  }
+
+  return {
+    name: "jupiter",
+    // { inputMint, outputMint, amount (raw), slippageBps, onlyDirectRoutes }
+    quote(params) {
+      const qs = new URLSearchParams(
+        Object.entries(params).map(([k, v]) => [k, String(v)])
+      );
+      return request(`/quote?${qs}`);
+    },
+    // → { swapTransaction (base64 versioned tx), lastValidBlockHeight }
+    swapTransaction(body) {
+      return request("/swap", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    },
+  };
+}
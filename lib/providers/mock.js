@@ -0,0 +1,135 @@
+// lib/providers/mock.js
+// Fixture-backed stand-ins for the RPC + DexScreener providers, so the
+// scanner runs offline and in CI. Fixtures are the raw JSON `result` of
+// each call, stored as:
+//   <dir>/rpc/<method>/<key>.json   (falls back to <dir>/rpc/<method>/default.json)
+//   <dir>/dexscreener/<mint>.json   (missing = token has no pairs)
+// A fixture of the form { "mockError": "<message>" } makes that call throw,
+// to replay an outage.
+// `withRecording()` wraps a live provider and writes those files for you.
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// First positional string param (mint / address / signature) names the file;
+// anything else (arrays of addresses, objects) is hashed.
+export function fixtureKey(params) {
+  const first = Array.isArray(params) ? params[0] : params?.id ?? params;
+  if (typeof first === "string" && /^[A-Za-z0-9]+$/.test(first)) return first;
+  return createHash("sha1").update(JSON.stringify(params)).digest("hex");
+}
+
+async function readJson(file) {
+  let data;
+  try {
+    data = JSON.parse(await readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return undefined;
+    throw e;
+  }
+  if (typeof data?.mockError === "string") throw new Error(data.mockError);
+  return data;
+}
+
+async function writeJson(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+export function createMockProvider({ dir }) {
+  async function rpc(method, params) {
+    const methodDir = path.join(dir, "rpc", method);
+    let result = await readJson(path.join(methodDir, `${fixtureKey(params)}.json`));
+    if (result === undefined) {
+      result = await readJson(path.join(methodDir, "default.json"));
+    }
+    if (result === undefined) {
+      throw new Error(`mock: no fixture for ${method} ${fixtureKey(params)}`);
+    }
+    return result;
+  }
+
+  return {
+    name: "mock",
+    supportsDas: true,
+    rpc,
+    getAsset: (id) => rpc("getAsset", { id }),
+    das: (method, params) => rpc(method, params),
+  };
+}
+
+export function createMockDexProvider({ dir }) {
+  async function fetchTokenPairs(chainId, mint) {
+    const pairs = await readJson(path.join(dir, "dexscreener", `${mint}.json`));
+    return pairs === undefined ? [] : pairs;
+  }
+
+  return {
+    name: "mock-dexscreener",
+    fetchTokenPairs,
+    async fetchPairsForTokens(chainId, mints) {
+      const seen = new Set();
+      const pairs = [];
+      for (const mint of mints) {
+        for (const p of await fetchTokenPairs(chainId, mint)) {
+          if (seen.has(p.pairAddress)) continue;
+          seen.add(p.pairAddress);
+          pairs.push(p);
+        }
+      }
+      return pairs;
+    },
+  };
+}
+
+// Record live responses into the fixture layout above
+export function withRecording(provider, dir) {
+  const wrapped = { ...provider };
+
+  if (provider.rpc) {
+    wrapped.rpc = async (method, params) => {
+      const result = await provider.rpc(method, params);
+      await writeJson(path.join(dir, "rpc", method, `${fixtureKey(params)}.json`), result);
+      return result;
+    };
+  }
+  if (provider.getAsset) {
+    wrapped.getAsset = async (id) => {
+      const result = await provider.getAsset(id);
+      await writeJson(path.join(dir, "rpc", "getAsset", `${fixtureKey({ id })}.json`), result);
+      return result;
+    };
+  }
+  if (provider.das) {
+    wrapped.das = async (method, params) => {
+      const result = await provider.das(method, params);
+      await writeJson(path.join(dir, "rpc", method, `${fixtureKey(params)}.json`), result);
+      return result;
+    };
+  }
+  if (provider.fetchTokenPairs) {
+    wrapped.fetchTokenPairs = async (chainId, mint) => {
+      const pairs = await provider.fetchTokenPairs(chainId, mint);
+      await writeJson(path.join(dir, "dexscreener", `${mint}.json`), pairs);
+      return pairs;
+    };
+  }
+  if (provider.fetchPairsForTokens) {
+    // record per mint so single and batch scans share fixtures
+    wrapped.fetchPairsForTokens = async (chainId, mints) => {
+      const pairs = await provider.fetchPairsForTokens(chainId, mints);
+      for (const mint of mints) {
+        const lower = mint.toLowerCase();
+        const own = pairs.filter(
+          (p) =>
+            p?.baseToken?.address?.toLowerCase() === lower ||
+            p?.quoteToken?.address?.toLowerCase() === lower
+        );
+        await writeJson(path.join(dir, "dexscreener", `${mint}.json`), own);
+      }
+      return pairs;
+    };
+  }
+  return wrapped;
+}
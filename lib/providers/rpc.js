@@ -0,0 +1,39 @@
+// lib/providers/rpc.js
+// Generic Solana JSON-RPC provider. Works for any RPC URL (self-hosted,
+// Triton, QuickNode, Helius) – vendors only differ in URL + DAS support.
+
+export function createRpcProvider({ name, url, supportsDas = false }) {
+  if (!url) throw new Error(`${name} provider needs an RPC URL`);
+
+  async function post(method, params) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    });
+
+    if (!res.ok) {
+      const err = new Error(`RPC error: ${res.status} ${res.statusText}`);
+      err.status = res.status;
+      err.provider = name;
+      throw err;
+    }
+    const json = await res.json();
+    if (json.error) {
+      const err = new Error(json.error.message || "RPC error");
+      err.code = json.error.code;
+      err.provider = name;
+      throw err;
+    }
+    return json.result;
+  }
+
+  return {
+    name,
+    supportsDas,
+    rpc: post,
+    // DAS methods take named params, not a positional array
+    getAsset: (id) => post("getAsset", { id }),
+    das: (method, params) => post(method, params),
+  };
+}
@@ -0,0 +1,98 @@
+// lib/public-host.js
+// Guard for URLs the server fetches on a user's behalf (alert webhooks,
+// Discord webhooks, token logos): the host must resolve to public
+// addresses only, so a URL can't reach the deployment's own network
+// (metadata endpoints, localhost admin ports, VPC services).
+// - every address the name resolves to is checked, not just the first
+// - callers check again right before each request; a name can change
+//   what it resolves to after it was accepted
+// - GLASSBOX_ALLOW_PRIVATE_HOSTS=1 turns the check off for local stand-ins
+
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+
+// IPv4-mapped IPv6 (::ffff:a.b.c.d) is matched against the IPv4 ranges
+const BLOCKED = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8],        // "this" network
+  ["10.0.0.0", 8],       // private
+  ["100.64.0.0", 10],    // carrier-grade NAT
+  ["127.0.0.0", 8],      // loopback
+  ["169.254.0.0", 16],   // link-local, cloud metadata
+  ["172.16.0.0", 12],    // private
+  ["192.0.0.0", 24],     // IETF protocol assignments
+  ["192.0.2.0", 24],     // documentation
+  ["192.168.0.0", 16],   // private
+  ["198.18.0.0", 15],    // benchmarking
+  ["198.51.100.0", 24],  // documentation
+  ["203.0.113.0", 24],   // documentation
+  ["224.0.0.0", 4],      // multicast
+  ["240.0.0.0", 4],      // reserved, broadcast
+]) {
+  BLOCKED.addSubnet(net, prefix, "ipv4");
+}
+for (const [net, prefix] of [
+  ["::", 128],           // unspecified
+  ["::1", 128],          // loopback
+  ["64:ff9b::", 96],     // NAT64
+  ["100::", 64],         // discard
+  ["2001:db8::", 32],    // documentation
+  ["fc00::", 7],         // unique local
+  ["fe80::", 10],        // link-local
+  ["ff00::", 8],         // multicast
+]) {
+  BLOCKED.addSubnet(net, prefix, "ipv6");
+}
+
+function hostError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const privateAllowed = () => process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS === "1";
+
+// IP literal → true when it's a routable public address
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// URL hostname → the IP literal inside it, or null for a name
+function ipLiteral(hostname) {
+  const bare = hostname.replace(/^\[|\]$/g, "");
+  return isIP(bare) ? bare : null;
+}
+
+// Sync pre-check for validation paths: rejects IP literals and localhost
+// names outside public space. Names still need assertPublicHost.
+export function assertPublicHostLiteral(url, field = "url") {
+  if (privateAllowed()) return;
+  const { hostname } = new URL(url);
+  const literal = ipLiteral(hostname);
+  if (literal ? !isPublicAddress(literal) : /(^|\.)localhost\.?$/i.test(hostname)) {
+    throw hostError(400, `${field} must point to a public host`);
+  }
+}
+
+// Resolves the URL's host; throws (.status 400) when any address is not
+// public, or when the name doesn't resolve
+export async function assertPublicHost(url, field = "url") {
+  if (privateAllowed()) return;
+  assertPublicHostLiteral(url, field);
+  const { hostname } = new URL(url);
+  if (ipLiteral(hostname)) return;
+
+  let addresses;
+  try {
+    addresses = await lookup(hostname, { all: true, verbatim: true });
+  } catch (e) {
+    const err = hostError(400, `${field} host does not resolve (${e?.code || e?.message || e})`);
+    err.dnsFailure = true; // may be transient, unlike a private address
+    throw err;
+  }
+  if (!addresses.length || addresses.some((a) => !isPublicAddress(a.address))) {
+    throw hostError(400, `${field} must point to a public host`);
+  }
+}
@@ -0,0 +1,3772 @@
+// lib/scan.js
+// GlassBox scan engine – v2 (shared by /api/check, /stream and /batch)
+// - Mint + holders over RPC (SPL Token + Token-2022 extensions)
+// - DexScreener for price / liquidity / age / volume / tx count / socials
+// - Insider snapshot + holder summary + risk score
+// - Holder distribution over every owner (Gini, Nakamoto, top 50/100)
+// - Holder labels: exchange / pool vault / curve / lock / burn / wallet
+// - Funding clusters: top holders grouped by their first SOL funder
+// - Every pool (DEX, quote, liquidity, vault); age from the mint's first tx
+// - Launchpad bonding curve: progress, SOL raised, migration pool
+// - LP lock / burn breakdown for the primary pool
+// - Deployer profile: dev wallet, their other launches, dev holdings
+// - Launch forensics: wallets that sniped the first slots of the pool
+// - Sell simulation: can a holder actually exit through the primary pool?
+// - All RPC / DAS / DexScreener I/O goes through lib/providers
+// - Inputs are cached per source (lib/cache.js); `freshness` says how old
+// - Weights / thresholds come from a scoring profile (lib/profiles.js)
+// - Blocks are handed to `onSection` as they finish (for streaming)
+
+import { createHash } from "node:crypto";
+
+import { cacheThrough } from "./cache.js";
+import { countsAsInsider, HOLDER_CATEGORIES, lookupAddressLabel } from "./labels.js";
+import { getScoringProfile } from "./profiles.js";
+import { lookupProgram } from "./programs.js";
+import { getDataProviders } from "./providers/index.js";
+
+// --- Stablecoins we treat specially -----------------------------------
+
+// Issuer-controlled authorities. Stablecoins legitimately keep both.
+const USDC_MINT_AUTHORITY = "BJE5MMbqXjVwjAF7oxwPYXnTXDyspzZyt4vwenNw5ruG";
+const USDC_FREEZE_AUTHORITY = "7dGbd2QZcCKcTndnHcTL8q7SMVXAkp688NTQYwrRCrar";
+const USDT_AUTHORITY = "Q6XprfkF8RQQKoQVG33xT88H7wi8Uk1B1CC7YAs69Gi";
+
+// We whitelist both common USDC mint formats + USDT.
+// The override only applies when the on-chain authorities match.
+const STABLECOIN_WHITELIST = {
+  // USDC (canonical Solana mint)
+  "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1": {
+    symbol: "USDC",
+    name: "USD Coin (USDC)",
+    mintAuthority: USDC_MINT_AUTHORITY,
+    freezeAuthority: USDC_FREEZE_AUTHORITY,
+  },
+  // USDC (alt / trailing v variant if your wallet shows it that way)
+  "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v": {
+    symbol: "USDC",
+    name: "USD Coin (USDC)",
+    mintAuthority: USDC_MINT_AUTHORITY,
+    freezeAuthority: USDC_FREEZE_AUTHORITY,
+  },
+  // USDT
+  "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB": {
+    symbol: "USDT",
+    name: "Tether USD (USDT)",
+    mintAuthority: USDT_AUTHORITY,
+    freezeAuthority: USDT_AUTHORITY,
+  },
+};
+
+// Authorities we can name. `trusted` ones are regulated issuers whose
+// control over supply is expected; launchpad ones are normal pre-migration.
+const KNOWN_AUTHORITIES = {
+  [USDC_MINT_AUTHORITY]: { label: "Circle (USDC issuer)", kind: "issuer", trusted: true },
+  [USDC_FREEZE_AUTHORITY]: { label: "Circle (USDC issuer)", kind: "issuer", trusted: true },
+  [USDT_AUTHORITY]: { label: "Tether (USDT issuer)", kind: "issuer", trusted: true },
+  "TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM": { label: "Pump.fun mint authority", kind: "launchpad", trusted: false },
+};
+
+// Programs whose accounts mean "this authority is a multisig"
+const MULTISIG_PROGRAMS = {
+  "SMPLecH534NA9acpos4G6x7uf3LWbCAwZQE9e8ZekMu": "Squads v3",
+  "SQDS4ep65T869zMMBKyuUq6SqfwgpYd6ZBz6ioC3xCM": "Squads v4",
+};
+
+// --- Generic helpers ---------------------------------------------------
+
+export async function callRpc(method, params) {
+  return getDataProviders().rpc.rpc(method, params);
+}
+
+async function fetchAsset(mint) {
+  return getDataProviders().rpc.getAsset(mint);
+}
+
+// --- Token programs ---------------------------------------------------
+
+const TOKEN_PROGRAM_ID = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+const TOKEN_2022_PROGRAM_ID = "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
+const SYSTEM_PROGRAM_ID = "11111111111111111111111111111111";
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// Encode raw bytes (e.g. a 32-byte pubkey) as base58
+function encodeBase58(bytes) {
+  const digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  // each leading zero byte is a leading "1"
+  let out = "";
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    out += "1";
+  }
+  if (out.length === bytes.length) return out;
+
+  for (let i = digits.length - 1; i >= 0; i--) out += BASE58_ALPHABET[digits[i]];
+  return out;
+}
+
+function decodeBase58(str) {
+  const bytes = [0];
+  for (const ch of str) {
+    let carry = BASE58_ALPHABET.indexOf(ch);
+    if (carry < 0) throw new Error("Invalid base58 string");
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  let zeros = 0;
+  while (zeros < str.length && str[zeros] === "1") zeros++;
+  const body = bytes.length === 1 && bytes[0] === 0 ? [] : bytes.reverse();
+  return Buffer.from([...new Array(zeros).fill(0), ...body]);
+}
+
+// --- ed25519 curve check (PDA detection) ------------------------------
+
+const ED25519_P = 2n ** 255n - 19n;
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    base = (base * base) % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+const ED25519_D =
+  ((-121665n * modPow(121666n, ED25519_P - 2n, ED25519_P)) % ED25519_P +
+    ED25519_P) %
+  ED25519_P;
+
+// Program-derived addresses are deliberately off the ed25519 curve, so
+// nobody holds a private key for them. Same test as web3.js isOnCurve.
+function isOnCurve(bytes) {
+  if (!bytes || bytes.length !== 32) return false;
+  const signBit = bytes[31] >> 7;
+  const yBytes = Buffer.from(bytes);
+  yBytes[31] &= 0x7f;
+
+  let y = 0n;
+  for (let i = 31; i >= 0; i--) y = (y << 8n) | BigInt(yBytes[i]);
+  if (y >= ED25519_P) return false;
+
+  const p = ED25519_P;
+  const y2 = (y * y) % p;
+  const u = (y2 - 1n + p) % p;
+  const v = (ED25519_D * y2 + 1n) % p;
+  const x2 = (u * modPow(v, p - 2n, p)) % p;
+
+  if (x2 === 0n) return signBit === 0;
+  return modPow(x2, (p - 1n) / 2n, p) === 1n;
+}
+
+// Token-2022 "OptionalNonZeroPubkey": all-zero bytes mean None
+function readOptionalPubkey(buf, offset) {
+  const key = buf.subarray(offset, offset + 32);
+  if (key.length < 32 || key.every((b) => b === 0)) return null;
+  return encodeBase58(key);
+}
+
+// Decode SPL Mint account (base64) → supply/decimals/authorities
+function parseMintAccount(base64Data) {
+  if (!base64Data) throw new Error("Missing mint account data");
+  const buf = Buffer.from(base64Data, "base64");
+  if (buf.length < 82) throw new Error("Mint account data too short");
+
+  // Layout: COption<Pubkey> mint authority (0..36), supply u64 (36),
+  // decimals u8 (44), is_initialized (45), COption<Pubkey> freeze (46..82)
+  const supply = buf.readBigUInt64LE(36);
+  const decimals = buf[44];
+  const mintAuthOpt = buf.readUInt32LE(0);
+  const freezeAuthOpt = buf.readUInt32LE(46);
+
+  return {
+    supply: supply.toString(),
+    decimals,
+    hasMintAuthority: mintAuthOpt !== 0,
+    hasFreezeAuthority: freezeAuthOpt !== 0,
+    mintAuthority: mintAuthOpt !== 0 ? encodeBase58(buf.subarray(4, 36)) : null,
+    freezeAuthority:
+      freezeAuthOpt !== 0 ? encodeBase58(buf.subarray(50, 82)) : null,
+    extensions: parseMintExtensions(buf),
+  };
+}
+
+// Token-2022 extension type ids (spl-token-2022 ExtensionType enum)
+const EXTENSION_NAMES = {
+  1: "transferFeeConfig",
+  3: "mintCloseAuthority",
+  4: "confidentialTransferMint",
+  6: "defaultAccountState",
+  9: "nonTransferable",
+  10: "interestBearingConfig",
+  12: "permanentDelegate",
+  14: "transferHook",
+  16: "confidentialTransferFeeConfig",
+  18: "metadataPointer",
+  19: "tokenMetadata",
+  20: "groupPointer",
+  21: "tokenGroup",
+  22: "groupMemberPointer",
+  23: "tokenGroupMember",
+  24: "confidentialMintBurn",
+  25: "scaledUiAmount",
+  26: "pausable",
+};
+
+const ACCOUNT_STATES = ["uninitialized", "initialized", "frozen"];
+
+function readTransferFee(buf, offset) {
+  return {
+    epoch: buf.readBigUInt64LE(offset).toString(),
+    maximumFee: buf.readBigUInt64LE(offset + 8).toString(),
+    feeBps: buf.readUInt16LE(offset + 16),
+  };
+}
+
+// Walk the TLV area that Token-2022 appends after the base mint.
+// Layout: 82-byte mint, zero padding to 165, 1-byte account type, then
+// repeated [u16 type][u16 length][value].
+function parseMintExtensions(buf) {
+  const ext = {
+    transferFee: null,
+    transferHook: null,
+    permanentDelegate: null,
+    defaultAccountState: null,
+    nonTransferable: false,
+    mintCloseAuthority: null,
+    confidentialTransfer: null,
+    other: [],
+  };
+
+  const TLV_START = 166;
+  if (buf.length <= TLV_START) return ext;
+
+  let offset = TLV_START;
+  while (offset + 4 <= buf.length) {
+    const type = buf.readUInt16LE(offset);
+    const length = buf.readUInt16LE(offset + 2);
+    const start = offset + 4;
+    offset = start + length;
+
+    if (type === 0) break; // uninitialized = end of extensions
+    if (offset > buf.length) break;
+
+    switch (type) {
+      case 1: {
+        const older = readTransferFee(buf, start + 72);
+        const newer = readTransferFee(buf, start + 90);
+        ext.transferFee = {
+          feeBps: newer.feeBps,
+          maximumFee: newer.maximumFee,
+          epoch: newer.epoch,
+          olderFeeBps: older.feeBps,
+          configAuthority: readOptionalPubkey(buf, start),
+          withdrawAuthority: readOptionalPubkey(buf, start + 32),
+        };
+        break;
+      }
+      case 3:
+        ext.mintCloseAuthority = { authority: readOptionalPubkey(buf, start) };
+        break;
+      case 4:
+        ext.confidentialTransfer = {
+          authority: readOptionalPubkey(buf, start),
+          autoApproveNewAccounts: buf[start + 32] === 1,
+        };
+        break;
+      case 6:
+        ext.defaultAccountState = ACCOUNT_STATES[buf[start]] || "unknown";
+        break;
+      case 9:
+        ext.nonTransferable = true;
+        break;
+      case 12:
+        ext.permanentDelegate = { delegate: readOptionalPubkey(buf, start) };
+        break;
+      case 14:
+        ext.transferHook = {
+          authority: readOptionalPubkey(buf, start),
+          programId: readOptionalPubkey(buf, start + 32),
+        };
+        break;
+      default:
+        ext.other.push(EXTENSION_NAMES[type] || `unknown-${type}`);
+    }
+  }
+
+  return ext;
+}
+
+// Turn parsed extensions into UI chips + mintScore penalties
+function buildExtensionFlags(ext) {
+  const flags = [];
+  if (!ext) return flags;
+
+  if (ext.permanentDelegate?.delegate) {
+    flags.push({
+      key: "permanentDelegate",
+      label: "Permanent delegate",
+      level: "bad",
+      penalty: 40,
+      detail: `${shortAddr(ext.permanentDelegate.delegate)} can transfer or burn tokens from any holder.`,
+    });
+  }
+
+  if (ext.transferHook?.programId) {
+    flags.push({
+      key: "transferHook",
+      label: "Transfer hook",
+      level: "bad",
+      penalty: 25,
+      detail: `Every transfer calls program ${shortAddr(ext.transferHook.programId)}, which can block sells.`,
+    });
+  }
+
+  if (ext.defaultAccountState === "frozen") {
+    flags.push({
+      key: "defaultAccountState",
+      label: "New accounts frozen",
+      level: "bad",
+      penalty: 30,
+      detail: "New token accounts start frozen until the freeze authority thaws them.",
+    });
+  }
+
+  if (ext.nonTransferable) {
+    flags.push({
+      key: "nonTransferable",
+      label: "Non-transferable",
+      level: "bad",
+      penalty: 30,
+      detail: "Tokens are soul-bound and cannot be transferred or sold.",
+    });
+  }
+
+  if (ext.transferFee) {
+    const bps = Math.max(ext.transferFee.feeBps, ext.transferFee.olderFeeBps);
+    let penalty = 0;
+    let level = "good";
+    if (bps >= 1000) {
+      penalty = 30;
+      level = "bad";
+    } else if (bps >= 500) {
+      penalty = 20;
+      level = "bad";
+    } else if (bps > 0) {
+      penalty = 10;
+      level = "warn";
+    }
+    if (ext.transferFee.configAuthority) {
+      penalty += 5; // fee can still be raised
+      if (level === "good") level = "warn";
+    }
+    flags.push({
+      key: "transferFee",
+      label: `Transfer fee ${(bps / 100).toFixed(2).replace(/\.?0+$/, "")}%`,
+      level,
+      penalty,
+      detail: ext.transferFee.configAuthority
+        ? `Fee authority ${shortAddr(ext.transferFee.configAuthority)} can change the fee.`
+        : "Fee is fixed (no fee authority).",
+    });
+  }
+
+  if (ext.mintCloseAuthority?.authority) {
+    flags.push({
+      key: "mintCloseAuthority",
+      label: "Mint can be closed",
+      level: "warn",
+      penalty: 10,
+      detail: `${shortAddr(ext.mintCloseAuthority.authority)} can close the mint once supply is zero.`,
+    });
+  }
+
+  if (ext.confidentialTransfer) {
+    flags.push({
+      key: "confidentialTransfer",
+      label: "Confidential transfers",
+      level: "warn",
+      penalty: 10,
+      detail: "Balances and transfer amounts can be hidden, so holder data may be incomplete.",
+    });
+  }
+
+  return flags;
+}
+
+function shortAddr(a) {
+  if (!a || a.length <= 8) return a;
+  return `${a.slice(0, 4)}…${a.slice(-4)}`;
+}
+
+// --- Holder distribution (full getProgramAccounts pass) ----------------
+
+const DISTRIBUTION_TOP_OWNERS = 100;
+// Owner balance buckets by share of supply, biggest first
+const DISTRIBUTION_BUCKETS = [
+  { label: "≥ 1%", minPct: 1 },
+  { label: "0.1–1%", minPct: 0.1 },
+  { label: "0.01–0.1%", minPct: 0.01 },
+  { label: "0.001–0.01%", minPct: 0.001 },
+  { label: "< 0.001%", minPct: 0 },
+];
+
+// 0 = perfectly equal, → 1 = one owner holds everything
+function giniCoefficient(balancesDesc) {
+  const n = balancesDesc.length;
+  const total = balancesDesc.reduce((sum, b) => sum + b, 0);
+  if (n < 2 || total <= 0) return null;
+  // ascending rank i (1…n): Σ (2i − n − 1)·x / (n·Σx)
+  let weighted = 0;
+  balancesDesc.forEach((b, idx) => {
+    const i = n - idx;
+    weighted += (2 * i - n - 1) * b;
+  });
+  return weighted / (n * total);
+}
+
+// Fewest owners that together hold more than half of `total`
+function nakamotoCoefficient(balancesDesc, total) {
+  let held = 0;
+  for (let i = 0; i < balancesDesc.length; i++) {
+    held += balancesDesc[i];
+    if (held > total / 2) return i + 1;
+  }
+  return null;
+}
+
+// Every token account of the mint, aggregated per owner wallet so one
+// wallet with several accounts counts once. Balances of all accounts add up
+// to the supply, so shares are exact.
+// → { holdersCount, tokenAccountCount, multiAccountOwners, totalUi, gini,
+//     nakamoto, histogram[], topOwners[] } or null
+async function scanTokenHolders(mint, programId = TOKEN_PROGRAM_ID) {
+  const filters = [
+    {
+      memcmp: {
+        offset: 0,             // mint field starts at byte 0
+        bytes: mint,           // only accounts for this mint
+      },
+    },
+  ];
+  // Token-2022 accounts grow with extensions, so only pin the size for legacy
+  if (programId === TOKEN_PROGRAM_ID) {
+    filters.unshift({ dataSize: 165 }); // SPL token account size
+  }
+
+  const result = await callRpc("getProgramAccounts", [
+    programId,
+    {
+      commitment: "processed",
+      encoding: "jsonParsed",
+      filters,
+    },
+  ]);
+
+  const accounts = Array.isArray(result) ? result : [];
+  const byOwner = new Map();
+  let tokenAccountCount = 0;
+
+  for (const acc of accounts) {
+    const info = acc.account?.data?.parsed?.info;
+    if (!info) continue;
+
+    const owner = info.owner;
+    const uiAmount = info.tokenAmount?.uiAmount ?? 0;
+
+    // only count real holders (non-zero balance)
+    if (!owner || !uiAmount || uiAmount <= 0) continue;
+    tokenAccountCount++;
+    const entry = byOwner.get(owner) || { owner, uiAmount: 0, tokenAccounts: [] };
+    entry.uiAmount += uiAmount;
+    entry.tokenAccounts.push(acc.pubkey);
+    byOwner.set(owner, entry);
+  }
+
+  if (byOwner.size === 0) return null;
+
+  const owners = [...byOwner.values()].sort((a, b) => b.uiAmount - a.uiAmount);
+  const balances = owners.map((o) => o.uiAmount);
+  const totalUi = balances.reduce((sum, b) => sum + b, 0);
+  const pctOf = (amount) => (totalUi > 0 ? (amount / totalUi) * 100 : 0);
+
+  const histogram = DISTRIBUTION_BUCKETS.map((b) => ({ ...b, holders: 0, pct: 0 }));
+  for (const o of owners) {
+    const pct = pctOf(o.uiAmount);
+    const bucket = histogram.find((b) => pct >= b.minPct);
+    bucket.holders++;
+    bucket.pct += pct;
+  }
+
+  return {
+    holdersCount: owners.length,
+    tokenAccountCount,
+    multiAccountOwners: owners.filter((o) => o.tokenAccounts.length > 1).length,
+    totalUi,
+    gini: giniCoefficient(balances),
+    nakamoto: nakamotoCoefficient(balances, totalUi),
+    histogram,
+    topOwners: owners.slice(0, DISTRIBUTION_TOP_OWNERS).map((o) => ({
+      ...o,
+      pct: pctOf(o.uiAmount),
+    })),
+  };
+}
+
+// Top-N shares + Nakamoto from the owner list, optionally without the LP
+// owner (its share of supply is taken out of the base too)
+function summarizeOwnerShares(topOwners, totalUi, excludeOwner = null) {
+  const owners = excludeOwner ? topOwners.filter((o) => o.owner !== excludeOwner) : topOwners;
+  const excluded = excludeOwner
+    ? topOwners.find((o) => o.owner === excludeOwner)?.uiAmount || 0
+    : 0;
+  const base = totalUi - excluded;
+  if (base <= 0) return null;
+  const topPct = (n) =>
+    (owners.slice(0, n).reduce((sum, o) => sum + o.uiAmount, 0) / base) * 100;
+  return {
+    top10Pct: topPct(10),
+    top50Pct: topPct(50),
+    top100Pct: topPct(100),
+    // null when more owners than we keep are needed
+    nakamoto: nakamotoCoefficient(owners.map((o) => o.uiAmount), base),
+  };
+}
+
+// --- Authority classification -----------------------------------------
+
+const FRESH_WALLET_DAYS = 7;
+
+// Work out who actually controls a mint/freeze authority address
+async function classifyAuthority(address, account) {
+  if (!address) return null;
+
+  const base = {
+    address,
+    addressShort: shortAddr(address),
+    kind: "wallet",
+    label: "Wallet",
+    trusted: false,
+    fresh: false,
+    walletAgeDays: null,
+  };
+
+  const known = KNOWN_AUTHORITIES[address];
+  if (known) return { ...base, ...known };
+
+  const owner = account?.owner || null;
+  if (owner && MULTISIG_PROGRAMS[owner]) {
+    return { ...base, kind: "multisig", label: `${MULTISIG_PROGRAMS[owner]} multisig` };
+  }
+
+  // SPL Token native multisig account (355 bytes, owned by a token program)
+  const dataLen = account?.data?.[0]
+    ? Buffer.from(account.data[0], "base64").length
+    : 0;
+  if (
+    (owner === TOKEN_PROGRAM_ID || owner === TOKEN_2022_PROGRAM_ID) &&
+    dataLen === 355
+  ) {
+    return { ...base, kind: "multisig", label: "SPL Token multisig" };
+  }
+
+  if (account?.executable) {
+    return { ...base, kind: "program", label: "Program" };
+  }
+
+  let onCurve = true;
+  try {
+    onCurve = isOnCurve(decodeBase58(address));
+  } catch {}
+  if (!onCurve) {
+    return {
+      ...base,
+      kind: "pda",
+      label: owner && owner !== SYSTEM_PROGRAM_ID
+        ? `Program-derived (${shortAddr(owner)})`
+        : "Program-derived address",
+      programOwner: owner,
+    };
+  }
+
+  // Plain keypair wallet: check how old it is. Under one page of history
+  // the oldest signature is the wallet's first transaction.
+  try {
+    const sigs = await callRpc("getSignaturesForAddress", [
+      address,
+      { limit: 1000, commitment: "confirmed" },
+    ]);
+    if (Array.isArray(sigs) && sigs.length && sigs.length < 1000) {
+      const firstTime = sigs[sigs.length - 1].blockTime;
+      if (firstTime) {
+        const ageDays = (Date.now() / 1000 - firstTime) / 86400;
+        base.walletAgeDays = Math.round(ageDays * 10) / 10;
+        base.fresh = ageDays < FRESH_WALLET_DAYS;
+      }
+    }
+  } catch (e) {
+    console.error("authority history error for", address, e?.message || e);
+  }
+
+  return { ...base, label: base.fresh ? "Fresh wallet" : "Wallet" };
+}
+
+async function classifyAuthorities(mintAuthority, freezeAuthority) {
+  const addrs = [...new Set([mintAuthority, freezeAuthority].filter(Boolean))];
+  let accounts = {};
+
+  if (addrs.length) {
+    try {
+      const result = await callRpc("getMultipleAccounts", [
+        addrs,
+        { encoding: "base64", commitment: "confirmed" },
+      ]);
+      const values = Array.isArray(result?.value) ? result.value : [];
+      values.forEach((acc, i) => {
+        accounts[addrs[i]] = acc;
+      });
+    } catch (e) {
+      console.error("authority lookup failed:", e?.message || e);
+      accounts = {};
+    }
+  }
+
+  const [mint, freeze] = await Promise.all([
+    classifyAuthority(mintAuthority, accounts[mintAuthority]),
+    classifyAuthority(freezeAuthority, accounts[freezeAuthority]),
+  ]);
+  return { mint, freeze };
+}
+
+// Run async fn over items with at most `limit` calls in flight
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+// --- Funding clusters --------------------------------------------------
+
+// Funders that fan out to thousands of unrelated wallets (CEX hot wallets,
+// see config/address-labels.json). Sharing one is not a cluster signal.
+const isIgnoredFunder = (address) => lookupAddressLabel(address)?.category === "exchange";
+
+const CLUSTER_SIG_PAGE_SIZE = 1000;
+const CLUSTER_MAX_SIG_PAGES = 3; // give up on very old / busy wallets
+const CLUSTER_TX_LOOKBACK = 3;   // oldest txs to inspect for the funding transfer
+const CLUSTER_CONCURRENCY = 4;
+
+// Resolve token accounts → owner wallets in one round-trip
+async function fetchTokenAccountOwners(tokenAccounts) {
+  if (!tokenAccounts.length) return {};
+  const result = await callRpc("getMultipleAccounts", [
+    tokenAccounts,
+    { encoding: "jsonParsed", commitment: "confirmed" },
+  ]);
+
+  const owners = {};
+  const values = Array.isArray(result?.value) ? result.value : [];
+  values.forEach((acc, i) => {
+    const owner = acc?.data?.parsed?.info?.owner;
+    if (owner) owners[tokenAccounts[i]] = owner;
+  });
+  return owners;
+}
+
+// Walk signatures backwards until we hit an address's oldest transactions.
+// → signature infos ({ signature, slot, blockTime }), oldest first.
+// `complete` → null if the page cap ran out before the real start.
+async function fetchOldestSignatureInfos(
+  address,
+  count,
+  { complete = false, maxPages = CLUSTER_MAX_SIG_PAGES } = {}
+) {
+  let before;
+  let previous = [];
+  let oldest = [];
+  let reachedStart = false;
+
+  for (let page = 0; page < maxPages; page++) {
+    const opts = { limit: CLUSTER_SIG_PAGE_SIZE, commitment: "confirmed" };
+    if (before) opts.before = before;
+
+    const sigs = await callRpc("getSignaturesForAddress", [address, opts]);
+    if (!Array.isArray(sigs) || !sigs.length) {
+      reachedStart = true;
+      break;
+    }
+
+    previous = oldest;
+    oldest = sigs;
+    if (sigs.length < CLUSTER_SIG_PAGE_SIZE) {
+      reachedStart = true;
+      break;
+    }
+    before = sigs[sigs.length - 1].signature;
+  }
+  if (complete && !reachedStart) return null;
+
+  // newest → oldest, so the tail is the start of the history
+  // (the last page can be short, hence the page before it)
+  return [...previous, ...oldest]
+    .filter((s) => !s.err)
+    .slice(-count)
+    .reverse();
+}
+
+async function fetchOldestSignatures(address, count, options) {
+  const infos = await fetchOldestSignatureInfos(address, count, options);
+  return infos ? infos.map((s) => s.signature) : null;
+}
+
+// Find the first System Program transfer that put SOL into `owner`
+function findFundingSource(tx, owner) {
+  const message = tx?.transaction?.message;
+  if (!message) return null;
+
+  const inner = Array.isArray(tx.meta?.innerInstructions)
+    ? tx.meta.innerInstructions.flatMap((ix) => ix.instructions || [])
+    : [];
+  const instructions = [...(message.instructions || []), ...inner];
+
+  for (const ix of instructions) {
+    if (ix.programId !== SYSTEM_PROGRAM_ID && ix.program !== "system") continue;
+    const type = ix.parsed?.type;
+    const info = ix.parsed?.info;
+    if (!info) continue;
+
+    if (
+      (type === "transfer" || type === "transferWithSeed") &&
+      info.destination === owner &&
+      info.source !== owner
+    ) {
+      return info.source;
+    }
+    if (
+      (type === "createAccount" || type === "createAccountWithSeed") &&
+      info.newAccount === owner &&
+      info.source !== owner
+    ) {
+      return info.source;
+    }
+  }
+  return null;
+}
+
+// null when the history is longer than the page cap: a mid-history page
+// would name a later sender as the first funder, so busy wallets stay out
+async function traceFirstFunder(owner) {
+  const signatures = await fetchOldestSignatures(owner, CLUSTER_TX_LOOKBACK, {
+    complete: true,
+  });
+  if (!signatures) return null;
+
+  for (const signature of signatures) {
+    const tx = await callRpc("getTransaction", [
+      signature,
+      {
+        encoding: "jsonParsed",
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      },
+    ]);
+    const funder = findFundingSource(tx, owner);
+    if (funder) {
+      return { funder, signature, blockTime: tx?.blockTime ?? null };
+    }
+  }
+  return null;
+}
+
+function clusterRiskLevel(pctOfSupply, memberCount) {
+  if (pctOfSupply >= 20 || memberCount >= 5) return "high";
+  if (pctOfSupply >= 8 || memberCount >= 3) return "medium";
+  return "low";
+}
+
+// Group non-LP top holders by the wallet that first funded them with SOL
+async function detectFundingClusters(holders) {
+  const tokenAccounts = holders.map((h) => h.address).filter(Boolean);
+  if (!tokenAccounts.length) return null;
+
+  const ownersByAccount = await fetchTokenAccountOwners(tokenAccounts);
+
+  // several token accounts can share one owner – trace each owner once
+  const uniqueOwners = [...new Set(Object.values(ownersByAccount))];
+  const traces = await mapWithConcurrency(
+    uniqueOwners,
+    CLUSTER_CONCURRENCY,
+    async (owner) => {
+      try {
+        // a wallet's first funder never changes, so ?fresh=1 doesn't apply
+        const { value } = await cacheThrough("clusters", owner, () =>
+          traceFirstFunder(owner)
+        );
+        return value;
+      } catch (e) {
+        console.error("traceFirstFunder error for", owner, e?.message || e);
+        return null;
+      }
+    }
+  );
+
+  const funderByOwner = {};
+  uniqueOwners.forEach((owner, i) => {
+    if (traces[i]) funderByOwner[owner] = traces[i];
+  });
+
+  const groups = new Map();
+  for (const h of holders) {
+    const owner = ownersByAccount[h.address];
+    const trace = owner ? funderByOwner[owner] : null;
+    if (!trace || isIgnoredFunder(trace.funder)) continue;
+
+    let group = groups.get(trace.funder);
+    if (!group) {
+      group = { funder: trace.funder, holders: [], owners: new Set() };
+      groups.set(trace.funder, group);
+    }
+    group.holders.push(h);
+    group.owners.add(owner);
+  }
+
+  const clusters = [];
+  for (const group of groups.values()) {
+    // a funder that is itself one of the holders belongs to its own cluster
+    for (const h of holders) {
+      if (
+        ownersByAccount[h.address] === group.funder &&
+        !group.holders.includes(h)
+      ) {
+        group.holders.push(h);
+        group.owners.add(group.funder);
+      }
+    }
+    if (group.owners.size < 2) continue;
+
+    const pctOfSupply = group.holders.reduce((sum, h) => sum + (h.pct || 0), 0);
+    clusters.push({
+      funder: group.funder,
+      funderShort: shortAddr(group.funder),
+      holderAddresses: group.holders.map((h) => h.address),
+      ownerAddresses: [...group.owners],
+      pctOfSupply,
+      riskLevel: clusterRiskLevel(pctOfSupply, group.owners.size),
+    });
+  }
+
+  clusters.sort((a, b) => b.pctOfSupply - a.pctOfSupply);
+
+  return {
+    clusters,
+    tracedWallets: Object.keys(funderByOwner).length,
+    sampledWallets: uniqueOwners.length,
+  };
+}
+
+async function detectFundingClustersSafe(holders) {
+  try {
+    return await detectFundingClusters(holders);
+  } catch (e) {
+    console.error("detectFundingClusters failed:", e?.message || e);
+    return null;
+  }
+}
+
+// --- Holder labels (who a top holder actually is) ----------------------
+
+// Token account → owner → owner's program, matched against the curated
+// labels (lib/labels.js) and the program lists. `poolVaults` are token
+// accounts already matched to a pool's reserve (address → pool).
+// → { [tokenAccount]: { owner, category, label } }
+async function classifyHolders(holders, { poolVaults = new Map(), curveAddress = null } = {}) {
+  const tokenAccounts = holders.map((h) => h.address).filter(Boolean);
+  if (!tokenAccounts.length) return {};
+
+  const ownersByAccount = await fetchTokenAccountOwners(tokenAccounts);
+  const owners = [...new Set(Object.values(ownersByAccount))];
+  const ownerPrograms = {};
+  if (owners.length) {
+    const infos = await callRpc("getMultipleAccounts", [
+      owners,
+      { encoding: "base64", commitment: "confirmed", dataSlice: { offset: 0, length: 0 } },
+    ]);
+    (infos?.value || []).forEach((acc, i) => {
+      if (acc?.owner) ownerPrograms[owners[i]] = acc.owner;
+    });
+  }
+
+  const result = {};
+  for (const account of tokenAccounts) {
+    const owner = ownersByAccount[account] || null;
+    const program = owner ? ownerPrograms[owner] : null;
+    const pool = poolVaults.get(account);
+    const curated = lookupAddressLabel(owner) || lookupAddressLabel(account);
+    const registered = lookupProgram(program);
+    const lpProgram = LP_POOL_PROGRAMS[program]?.label || positionNftProgram(program);
+    const locker = LOCKER_PROGRAMS[owner] || LOCKER_PROGRAMS[program];
+
+    let category = "wallet";
+    let label = null;
+    if (curated) {
+      ({ category, label } = curated);
+    } else if (pool) {
+      category = "amm-vault";
+      label = pool.dexId ? `${pool.dexId} pool vault` : "Pool vault";
+    } else if (curveAddress && owner === curveAddress) {
+      category = "bonding-curve";
+      label = "Pump.fun curve";
+    } else if (locker) {
+      category = "locker";
+      label = locker;
+    } else if (registered) {
+      category = registered.kind === "launchpad" ? "bonding-curve" : "amm-vault";
+      label = registered.label;
+    } else if (lpProgram) {
+      category = "amm-vault";
+      label = lpProgram;
+    } else if (MULTISIG_PROGRAMS[program]) {
+      category = "multisig";
+      label = MULTISIG_PROGRAMS[program];
+    } else if (owner && ((program && program !== SYSTEM_PROGRAM_ID) || !isWalletAddress(owner))) {
+      // PDA or program-owned account we can't name
+      category = "program";
+    }
+
+    result[account] = {
+      owner,
+      category,
+      label: label || HOLDER_CATEGORIES[category].label,
+    };
+  }
+  return result;
+}
+
+// --- LP lock / burn detection -----------------------------------------
+
+const INCINERATOR = "1nc1nerator11111111111111111111111111111111";
+
+// Pool programs with a fungible LP mint. Offsets are into the pool account:
+// `lpMint` = LP mint pubkey, `lpSupply` = u64 LP amount the program thinks is
+// outstanding (burning LP via the token program doesn't touch it, so the gap
+// to the real mint supply is what was burned).
+const LP_POOL_PROGRAMS = {
+  "675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8": {
+    label: "Raydium AMM v4",
+    lpMint: 464,
+    lpSupply: 720,
+  },
+  "CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C": {
+    label: "Raydium CPMM",
+    lpMint: 136,
+    lpSupply: 333, // 8 disc + 10 pubkeys + 5 u8 (bump, status, 3× decimals)
+  },
+  "Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB": {
+    label: "Meteora Dynamic AMM",
+    lpMint: 8,
+    lpSupply: null,
+  },
+  "9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP": {
+    label: "Orca (legacy)",
+    lpMint: 99,
+    lpSupply: null,
+  },
+  "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA": {
+    label: "PumpSwap",
+    lpMint: 107,
+    lpSupply: 203,
+  },
+};
+
+// Pool account (base64 data) → { label, lpMint, trackedSupply } using the
+// LP_POOL_PROGRAMS layout, or null for unknown programs / short accounts
+export function readLpPoolState(poolProgram, base64Data) {
+  const layout = LP_POOL_PROGRAMS[poolProgram];
+  if (!layout) return null;
+  const poolBuf = Buffer.from(base64Data || "", "base64");
+  if (poolBuf.length < layout.lpMint + 32) return null;
+  return {
+    label: layout.label,
+    lpMint: encodeBase58(poolBuf.subarray(layout.lpMint, layout.lpMint + 32)),
+    trackedSupply:
+      layout.lpSupply != null && poolBuf.length >= layout.lpSupply + 8
+        ? poolBuf.readBigUInt64LE(layout.lpSupply)
+        : null,
+  };
+}
+
+// Concentrated-liquidity pools use position NFTs, not an LP mint
+// (`liquidity: "position-nft"` in config/programs.json) → label or null
+function positionNftProgram(programId) {
+  const entry = lookupProgram(programId);
+  return entry?.liquidity === "position-nft" ? entry.label : null;
+}
+
+const LOCKER_PROGRAMS = {
+  "strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m": "Streamflow",
+  "LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE": "Raydium LP lock",
+  "LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn": "Jupiter Lock",
+};
+
+const STREAMFLOW_PROGRAM_ID = "strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m";
+// Streamflow contract layout: end_time u64 @33, mint @177, escrow_tokens @209
+const STREAMFLOW_END_TIME_OFFSET = 33;
+const STREAMFLOW_MINT_OFFSET = 177;
+const STREAMFLOW_ESCROW_OFFSET = 209;
+
+// Streamflow escrows for this LP mint → { escrowTokenAccount: unlockAt }
+async function fetchStreamflowUnlocks(lpMint) {
+  const unlocks = {};
+  try {
+    const result = await callRpc("getProgramAccounts", [
+      STREAMFLOW_PROGRAM_ID,
+      {
+        encoding: "base64",
+        commitment: "confirmed",
+        filters: [{ memcmp: { offset: STREAMFLOW_MINT_OFFSET, bytes: lpMint } }],
+      },
+    ]);
+    for (const acc of Array.isArray(result) ? result : []) {
+      const buf = Buffer.from(acc.account?.data?.[0] || "", "base64");
+      if (buf.length < STREAMFLOW_ESCROW_OFFSET + 32) continue;
+      const endTime = Number(buf.readBigUInt64LE(STREAMFLOW_END_TIME_OFFSET));
+      const escrow = encodeBase58(
+        buf.subarray(STREAMFLOW_ESCROW_OFFSET, STREAMFLOW_ESCROW_OFFSET + 32)
+      );
+      unlocks[escrow] = endTime > 0 ? new Date(endTime * 1000).toISOString() : null;
+    }
+  } catch (e) {
+    console.error("Streamflow lookup failed:", e?.message || e);
+  }
+  return unlocks;
+}
+
+// Where did the primary pool's LP supply go: burned, locked or in wallets?
+async function detectLpLock(pairAddress) {
+  const empty = {
+    poolAddress: pairAddress || null,
+    poolProgram: null,
+    lpModel: "unknown",
+    lpMint: null,
+    lockPercent: null,
+    burnedPct: null,
+    lockedPct: null,
+    walletPct: null,
+    lockers: [],
+    unlockDates: [],
+    note: "Could not locate the primary pool's LP mint.",
+  };
+  if (!pairAddress) return empty;
+
+  const poolInfo = await callRpc("getAccountInfo", [
+    pairAddress,
+    { encoding: "base64", commitment: "confirmed" },
+  ]);
+  const poolProgram = poolInfo?.value?.owner;
+  if (!poolProgram) return empty;
+
+  const positionLabel = positionNftProgram(poolProgram);
+  if (positionLabel) {
+    return {
+      ...empty,
+      poolProgram,
+      poolLabel: positionLabel,
+      lpModel: "position-nft",
+      note: `${positionLabel} uses position NFTs, so there is no LP mint to burn or lock.`,
+    };
+  }
+
+  const layout = LP_POOL_PROGRAMS[poolProgram];
+  const poolState = readLpPoolState(poolProgram, poolInfo.value.data?.[0]);
+  if (!poolState) return { ...empty, poolProgram };
+  const { lpMint, trackedSupply } = poolState;
+
+  const [supplyRes, largestRes, streamflowUnlocks] = await Promise.all([
+    callRpc("getTokenSupply", [lpMint, { commitment: "confirmed" }]),
+    callRpc("getTokenLargestAccounts", [lpMint, { commitment: "confirmed" }]),
+    fetchStreamflowUnlocks(lpMint),
+  ]);
+
+  const currentSupply = BigInt(supplyRes?.value?.amount || "0");
+  // Denominator: what was minted if the pool tracks it, else what's left
+  const totalSupply =
+    trackedSupply != null && trackedSupply > currentSupply
+      ? trackedSupply
+      : currentSupply;
+  if (totalSupply === 0n) {
+    return { ...empty, poolProgram, lpMint, note: "LP supply is zero." };
+  }
+
+  const lpAccounts = Array.isArray(largestRes?.value) ? largestRes.value : [];
+  const accountAddrs = lpAccounts.map((a) => a.address);
+  const ownersByAccount = await fetchTokenAccountOwners(accountAddrs);
+
+  // Owner wallets of LP token accounts → which program owns them
+  const ownerAddrs = [...new Set(Object.values(ownersByAccount))];
+  const ownerPrograms = {};
+  if (ownerAddrs.length) {
+    const ownerInfos = await callRpc("getMultipleAccounts", [
+      ownerAddrs,
+      { encoding: "base64", commitment: "confirmed", dataSlice: { offset: 0, length: 0 } },
+    ]);
+    (ownerInfos?.value || []).forEach((acc, i) => {
+      if (acc?.owner) ownerPrograms[ownerAddrs[i]] = acc.owner;
+    });
+  }
+
+  let burned = totalSupply - currentSupply;
+  let locked = 0n;
+  const lockers = [];
+
+  for (const acc of lpAccounts) {
+    const amount = BigInt(acc.amount || "0");
+    if (amount === 0n) continue;
+    const owner = ownersByAccount[acc.address];
+    const ownerProgram = owner ? ownerPrograms[owner] : null;
+
+    if (owner === INCINERATOR) {
+      burned += amount;
+      continue;
+    }
+
+    let lockerLabel = null;
+    let unlockAt = null;
+    if (acc.address in streamflowUnlocks) {
+      lockerLabel = LOCKER_PROGRAMS[STREAMFLOW_PROGRAM_ID];
+      unlockAt = streamflowUnlocks[acc.address];
+    } else if (LOCKER_PROGRAMS[owner] || LOCKER_PROGRAMS[ownerProgram]) {
+      lockerLabel = LOCKER_PROGRAMS[owner] || LOCKER_PROGRAMS[ownerProgram];
+    } else if (ownerProgram === poolProgram) {
+      // pool program escrow (e.g. Meteora permanent lock)
+      lockerLabel = `${layout.label} lock`;
+    }
+
+    if (lockerLabel) {
+      locked += amount;
+      lockers.push({
+        label: lockerLabel,
+        tokenAccount: acc.address,
+        pct: Number((amount * 10_000n) / totalSupply) / 100,
+        unlockAt,
+      });
+    }
+  }
+
+  const burnedPct = Number((burned * 10_000n) / totalSupply) / 100;
+  const lockedPct = Number((locked * 10_000n) / totalSupply) / 100;
+  const lockPercent = Math.min(100, burnedPct + lockedPct);
+  const unlockDates = lockers
+    .map((l) => l.unlockAt)
+    .filter(Boolean)
+    .sort();
+
+  let note = `${burnedPct.toFixed(1)}% of LP burned, ${lockedPct.toFixed(1)}% in lockers.`;
+  if (unlockDates.length) note += ` Next unlock ${unlockDates[0].slice(0, 10)}.`;
+
+  return {
+    poolAddress: pairAddress,
+    poolProgram,
+    poolLabel: layout.label,
+    lpModel: "lp-mint",
+    lpMint,
+    lpSupply: currentSupply.toString(),
+    lpSupplyInitial: totalSupply.toString(),
+    lockPercent,
+    burnedPct,
+    lockedPct,
+    walletPct: Math.max(0, 100 - lockPercent),
+    lockers,
+    unlockDates,
+    note,
+  };
+}
+
+async function detectLpLockSafe(pairAddress) {
+  try {
+    return await detectLpLock(pairAddress);
+  } catch (e) {
+    console.error("detectLpLock failed:", e?.message || e);
+    return null;
+  }
+}
+
+// --- Mint creation time --------------------------------------------------
+
+// Every transferChecked touches the mint account, so busy tokens have
+// millions of signatures; paging back gives up after this many pages
+const MINT_CREATION_MAX_SIG_PAGES = 20;
+
+// First successful transaction on the mint account = when it was created.
+// → { createdAt, slot, signature, exact }. When the start of the history is
+// out of reach, `exact` is false and createdAt is the oldest time seen –
+// the mint is at least that old. History never changes, so either answer
+// stays true and can be cached for a long time.
+async function fetchMintCreation(mint) {
+  let before;
+  let oldest = null;
+  let reachedStart = false;
+
+  for (let page = 0; page < MINT_CREATION_MAX_SIG_PAGES; page++) {
+    const opts = { limit: CLUSTER_SIG_PAGE_SIZE, commitment: "confirmed" };
+    if (before) opts.before = before;
+
+    const sigs = await callRpc("getSignaturesForAddress", [mint, opts]);
+    if (!Array.isArray(sigs) || !sigs.length) {
+      reachedStart = true;
+      break;
+    }
+
+    // newest → oldest
+    const ok = sigs.filter((s) => !s.err && s.blockTime);
+    if (ok.length) oldest = ok[ok.length - 1];
+    if (sigs.length < CLUSTER_SIG_PAGE_SIZE) {
+      reachedStart = true;
+      break;
+    }
+    before = sigs[sigs.length - 1].signature;
+  }
+  if (!oldest) return null;
+
+  return {
+    createdAt: new Date(oldest.blockTime * 1000).toISOString(),
+    slot: oldest.slot ?? null,
+    signature: oldest.signature,
+    exact: reachedStart,
+  };
+}
+
+async function fetchMintCreationSafe(mint) {
+  try {
+    return await fetchMintCreation(mint);
+  } catch (e) {
+    console.error("mint creation lookup failed:", e?.message || e);
+    return null;
+  }
+}
+
+// --- Deployer profile (dev wallet + their other launches) ---------------
+
+const ASSOCIATED_TOKEN_PROGRAM_ID = "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL";
+const PUMP_FUN_PROGRAM_ID = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+const PUMP_CURVE_CREATOR_OFFSET = 49; // 8 disc + 5×u64 reserves/supply + complete flag
+
+const DEPLOYER_DAS_LIMIT = 50;        // assets per getAssetsBy* query
+const DEPLOYER_MAX_OTHER_MINTS = 15;  // other launches checked for liquidity
+const DEPLOYER_CONCURRENCY = 4;
+const DEAD_LIQUIDITY_USD = 1_000;
+const DIED_WITHIN_MS = 48 * 60 * 60_000;
+const FUNGIBLE_INTERFACES = new Set(["FungibleToken", "FungibleAsset"]);
+
+async function callDas(method, params) {
+  return getDataProviders().rpc.das(method, params);
+}
+
+// Same derivation as web3.js findProgramAddressSync
+function findProgramAddress(seeds, programId) {
+  const program = decodeBase58(programId);
+  for (let bump = 255; bump >= 0; bump--) {
+    const hash = createHash("sha256");
+    for (const seed of seeds) hash.update(seed);
+    hash.update(Buffer.from([bump]));
+    hash.update(program);
+    hash.update("ProgramDerivedAddress");
+    const key = hash.digest();
+    if (!isOnCurve(key)) return encodeBase58(key);
+  }
+  return null;
+}
+
+function associatedTokenAddress(owner, mint, tokenProgramId) {
+  return findProgramAddress(
+    [decodeBase58(owner), decodeBase58(tokenProgramId), decodeBase58(mint)],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+}
+
+async function fetchParsedTransaction(signature) {
+  return callRpc("getTransaction", [
+    signature,
+    {
+      encoding: "jsonParsed",
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    },
+  ]);
+}
+
+function feePayer(tx) {
+  const key = tx?.transaction?.message?.accountKeys?.[0];
+  return typeof key === "string" ? key : key?.pubkey || null;
+}
+
+// Pump.fun bonding curve PDA → { address, data } (null for non-Pump mints)
+async function fetchPumpCurveAccount(mint) {
+  const address = findProgramAddress(
+    [Buffer.from("bonding-curve"), decodeBase58(mint)],
+    PUMP_FUN_PROGRAM_ID
+  );
+  const info = await callRpc("getAccountInfo", [
+    address,
+    { encoding: "base64", commitment: "confirmed" },
+  ]);
+  const data = info?.value?.data?.[0];
+  if (!data || info.value.owner !== PUMP_FUN_PROGRAM_ID) return null;
+  return { address, data: Buffer.from(data, "base64") };
+}
+
+// Pump.fun keeps the launching wallet in the bonding curve account
+async function fetchPumpCurveCreator(mint) {
+  const curve = await fetchPumpCurveAccount(mint);
+  return curve ? readOptionalPubkey(curve.data, PUMP_CURVE_CREATOR_OFFSET) : null;
+}
+
+// Who launched the mint, most reliable source first:
+// verified creator → Pump.fun curve creator → fee payer of the mint's first
+// transaction → update authority. Launchpad-owned keys are never the dev.
+async function findDeployer(mint, asset) {
+  const isLaunchpad = (a) => KNOWN_AUTHORITIES[a]?.kind === "launchpad";
+
+  const creators = Array.isArray(asset?.creators) ? asset.creators : [];
+  const creator =
+    creators.find((c) => c.verified && c.address && !isLaunchpad(c.address)) ||
+    creators.find((c) => c.address && !isLaunchpad(c.address));
+  if (creator) return { address: creator.address, source: "creator" };
+
+  const pumpCreator = await fetchPumpCurveCreator(mint);
+  if (pumpCreator) return { address: pumpCreator, source: "pumpBondingCurve" };
+
+  // only trust "first transaction" when we really reached the start
+  const first = await fetchOldestSignatures(mint, 1, { complete: true });
+  if (first?.length) {
+    const payer = feePayer(await fetchParsedTransaction(first[0]));
+    if (payer) return { address: payer, source: "firstTransaction" };
+  }
+
+  const updateAuthority = (asset?.authorities || []).find(
+    (a) => a.scopes?.includes("full") || a.scopes?.includes("metadata")
+  )?.address;
+  if (updateAuthority && !isLaunchpad(updateAuthority)) {
+    return { address: updateAuthority, source: "updateAuthority" };
+  }
+  return null;
+}
+
+// Fungible assets the wallet created or controls, newest first
+async function fetchDeployerMints(address) {
+  const sortBy = { sortBy: "created", sortDirection: "desc" };
+  const queries = [
+    callDas("getAssetsByCreator", {
+      creatorAddress: address,
+      onlyVerified: false,
+      page: 1,
+      limit: DEPLOYER_DAS_LIMIT,
+      sortBy,
+    }),
+    callDas("getAssetsByAuthority", {
+      authorityAddress: address,
+      page: 1,
+      limit: DEPLOYER_DAS_LIMIT,
+      sortBy,
+    }),
+  ];
+
+  const byMint = new Map();
+  let truncated = false;
+  for (const result of await Promise.allSettled(queries)) {
+    if (result.status !== "fulfilled") {
+      console.error("deployer DAS lookup failed:", result.reason?.message);
+      continue;
+    }
+    const items = Array.isArray(result.value?.items) ? result.value.items : [];
+    if (items.length >= DEPLOYER_DAS_LIMIT) truncated = true;
+    for (const item of items) {
+      if (!item?.id || !FUNGIBLE_INTERFACES.has(item.interface)) continue;
+      if (byMint.has(item.id)) continue;
+      byMint.set(item.id, {
+        mint: item.id,
+        name: item.content?.metadata?.name || null,
+        symbol: item.content?.metadata?.symbol || null,
+      });
+    }
+  }
+  return { mints: [...byMint.values()], truncated };
+}
+
+// Liquidity now + whether the pool went quiet within 48h of launch
+async function checkDeployerMints(mints) {
+  if (!mints.length) return [];
+  const pairsByMint = await fetchDexPairsForMints(mints.map((m) => m.mint));
+
+  return mapWithConcurrency(mints, DEPLOYER_CONCURRENCY, async (m) => {
+    const stats = summarizeDexPairs(m.mint, pairsByMint[m.mint]);
+    const liquidityUsd = stats.totalLiquidityUsd;
+
+    let status = "alive";
+    if (!stats.pairAddress) status = "unlisted";
+    else if (liquidityUsd == null || liquidityUsd < DEAD_LIQUIDITY_USD) status = "dead";
+
+    let diedWithin48h = null;
+    if (status === "dead" && stats.ageDays != null) {
+      try {
+        const [last] = await callRpc("getSignaturesForAddress", [
+          stats.pairAddress,
+          { limit: 1, commitment: "confirmed" },
+        ]);
+        if (last?.blockTime) {
+          const launchedAt = Date.now() - stats.ageDays * 86_400_000;
+          diedWithin48h = last.blockTime * 1000 - launchedAt < DIED_WITHIN_MS;
+        }
+      } catch (e) {
+        console.error("last pool activity failed for", m.mint, e?.message || e);
+      }
+    }
+
+    return {
+      ...m,
+      liquidityUsd,
+      ageDays: stats.ageDays,
+      dexId: stats.dexId,
+      status,
+      diedWithin48h,
+    };
+  });
+}
+
+// How much of this mint the dev holds now vs. right after their first buy
+async function fetchDevHoldings(deployer, mint, tokenProgramId, supplyUi) {
+  const accounts = await callRpc("getTokenAccountsByOwner", [
+    deployer,
+    { mint },
+    { encoding: "jsonParsed", commitment: "confirmed" },
+  ]);
+  const currentUiAmount = (accounts?.value || []).reduce(
+    (sum, a) => sum + (a.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0),
+    0
+  );
+
+  // first transaction of the dev's ATA = their launch allocation / buy
+  const tokenAccount = associatedTokenAddress(deployer, mint, tokenProgramId);
+  let initialUiAmount = null;
+  const first = tokenAccount
+    ? await fetchOldestSignatures(tokenAccount, 1, { complete: true })
+    : null;
+  if (first?.length) {
+    const tx = await fetchParsedTransaction(first[0]);
+    const balance = (tx?.meta?.postTokenBalances || []).find(
+      (b) => b.owner === deployer && b.mint === mint
+    );
+    initialUiAmount = balance?.uiTokenAmount?.uiAmount ?? 0;
+  } else if (first) {
+    initialUiAmount = 0; // ATA never used
+  }
+
+  const pctOf = (ui) => (supplyUi > 0 ? (ui / supplyUi) * 100 : null);
+  const soldUi =
+    initialUiAmount != null ? Math.max(0, initialUiAmount - currentUiAmount) : null;
+
+  return {
+    tokenAccount,
+    currentUiAmount,
+    currentPct: pctOf(currentUiAmount),
+    initialUiAmount,
+    initialPct: initialUiAmount != null ? pctOf(initialUiAmount) : null,
+    soldPct: soldUi != null ? pctOf(soldUi) : null,
+    soldShareOfInitialPct:
+      soldUi != null && initialUiAmount > 0 ? (soldUi / initialUiAmount) * 100 : null,
+  };
+}
+
+async function buildDeployerProfile({ mint, asset, tokenProgramId, supplyUi }) {
+  const deployer = await findDeployer(mint, asset);
+  if (!deployer) return null;
+
+  const [launches, holdings] = await Promise.all([
+    fetchDeployerMints(deployer.address),
+    fetchDevHoldings(deployer.address, mint, tokenProgramId, supplyUi).catch((e) => {
+      console.error("dev holdings failed:", e?.message || e);
+      return null;
+    }),
+  ]);
+
+  const others = launches.mints.filter((m) => m.mint !== mint);
+  const otherMints = await checkDeployerMints(
+    others.slice(0, DEPLOYER_MAX_OTHER_MINTS)
+  );
+  const deadCount = otherMints.filter((m) => m.status === "dead").length;
+  const diedWithin48hCount = otherMints.filter((m) => m.diedWithin48h).length;
+  const launchedCount = others.length + 1;
+
+  let riskLevel = "low";
+  if (otherMints.length >= 3 && deadCount / otherMints.length >= 0.6) {
+    riskLevel = "high";
+  } else if (deadCount >= 1 || (holdings?.currentPct ?? 0) >= 10) {
+    riskLevel = "medium";
+  }
+
+  let note = "No other launches found for this wallet.";
+  if (others.length) {
+    const checked =
+      otherMints.length < others.length ? ` (${otherMints.length} checked)` : "";
+    note =
+      `Dev has launched ${launchedCount}${launches.truncated ? "+" : ""} tokens, ` +
+      `${deadCount} went to zero${checked}.`;
+    if (diedWithin48hCount) note += ` ${diedWithin48hCount} died within 48h.`;
+  }
+
+  return {
+    address: deployer.address,
+    addressShort: shortAddr(deployer.address),
+    source: deployer.source,
+    launchedCount,
+    launchedCountTruncated: launches.truncated,
+    otherMints,
+    deadCount,
+    diedWithin48hCount,
+    holdings,
+    riskLevel,
+    note,
+  };
+}
+
+async function buildDeployerProfileSafe(input) {
+  try {
+    return await buildDeployerProfile(input);
+  } catch (e) {
+    console.error("deployer profile failed:", e?.message || e);
+    return null;
+  }
+}
+
+// --- Bonding curve (launchpad lifecycle) --------------------------------
+
+// Pump.fun curve account: 8-byte discriminator, then u64 virtual token /
+// virtual SOL / real token / real SOL reserves, token supply, complete flag
+const PUMP_CURVE_LAYOUT = {
+  virtualTokenReserves: 8,
+  virtualSolReserves: 16,
+  realTokenReserves: 24,
+  realSolReserves: 32,
+  tokenTotalSupply: 40,
+  complete: 48,
+};
+const PUMP_TOKEN_DECIMALS = 6;
+// Tokens sold off the curve before it completes (793.1M of 1B)
+const PUMP_INITIAL_REAL_TOKEN_RESERVES = 793_100_000n * 10n ** 6n;
+// Graduated Pump.fun tokens get a canonical PumpSwap pool (index 0, owned
+// by the curve program's pool authority, paired against WSOL)
+const PUMP_AMM_PROGRAM_ID = "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA";
+
+function pumpCanonicalPool(mint) {
+  const poolAuthority = findProgramAddress(
+    [Buffer.from("pool-authority"), decodeBase58(mint)],
+    PUMP_FUN_PROGRAM_ID
+  );
+  const index = Buffer.alloc(2); // u16 LE, 0
+  return findProgramAddress(
+    [
+      Buffer.from("pool"),
+      index,
+      decodeBase58(poolAuthority),
+      decodeBase58(mint),
+      decodeBase58(WSOL_MINT),
+    ],
+    PUMP_AMM_PROGRAM_ID
+  );
+}
+
+// Read the launchpad curve for this mint. Only Pump.fun curves are decoded
+// today; everything else returns null and falls back to origin keywords.
+// → { launchpad, curveAddress, graduated, progressPct, solRaised,
+//     virtualSolReserves, virtualTokenReserves, priceSol, canonicalPool }
+async function fetchBondingCurve(mint) {
+  const curve = await fetchPumpCurveAccount(mint);
+  if (!curve || curve.data.length < PUMP_CURVE_LAYOUT.complete + 1) return null;
+
+  const buf = curve.data;
+  const u64 = (field) => buf.readBigUInt64LE(PUMP_CURVE_LAYOUT[field]);
+  const tokenUi = (raw) => Number(raw) / 10 ** PUMP_TOKEN_DECIMALS;
+  const sol = (raw) => Number(raw) / LAMPORTS_PER_SOL;
+
+  const complete = buf[PUMP_CURVE_LAYOUT.complete] === 1;
+  const realTokens = u64("realTokenReserves");
+  const virtualTokens = u64("virtualTokenReserves");
+  const virtualSol = u64("virtualSolReserves");
+
+  let progressPct = 100;
+  if (!complete) {
+    const left = Number(realTokens) / Number(PUMP_INITIAL_REAL_TOKEN_RESERVES);
+    progressPct = Math.max(0, Math.min(100, (1 - left) * 100));
+  }
+
+  // The canonical pool only exists once the curve has migrated
+  let canonicalPool = null;
+  if (complete) {
+    const address = pumpCanonicalPool(mint);
+    const info = await callRpc("getAccountInfo", [
+      address,
+      { encoding: "base64", dataSlice: { offset: 0, length: 0 }, commitment: "confirmed" },
+    ]);
+    canonicalPool = {
+      address,
+      exists: info?.value?.owner === PUMP_AMM_PROGRAM_ID,
+    };
+  }
+
+  return {
+    launchpad: "pump",
+    curveAddress: curve.address,
+    graduated: complete,
+    progressPct,
+    solRaised: sol(u64("realSolReserves")),
+    virtualSolReserves: sol(virtualSol),
+    virtualTokenReserves: tokenUi(virtualTokens),
+    realTokenReserves: tokenUi(realTokens),
+    priceSol:
+      virtualTokens > 0n ? sol(virtualSol) / tokenUi(virtualTokens) : null,
+    canonicalPool,
+  };
+}
+
+async function fetchBondingCurveSafe(mint) {
+  try {
+    return await fetchBondingCurve(mint);
+  } catch (e) {
+    console.error("bonding curve lookup failed:", e?.message || e);
+    return null;
+  }
+}
+
+// Where a graduated token trades now: the canonical PumpSwap pool, else
+// the oldest non-curve pool DexScreener knows (older Raydium migrations)
+function findMigrationPool(curve, pools) {
+  if (!curve?.graduated) return null;
+  const canonical = curve.canonicalPool;
+  const listed = canonical && pools.find((p) => p.pairAddress === canonical.address);
+  if (listed) {
+    return { pairAddress: listed.pairAddress, dexId: listed.dexId, source: "canonical" };
+  }
+  if (canonical?.exists) {
+    return { pairAddress: canonical.address, dexId: "pumpswap", source: "canonical" };
+  }
+  const migrated = pools
+    .filter((p) => p.dexId !== "pumpfun" && p.ageDays != null)
+    .sort((a, b) => b.ageDays - a.ageDays)[0];
+  return migrated
+    ? { pairAddress: migrated.pairAddress, dexId: migrated.dexId, source: "dexscreener" }
+    : null;
+}
+
+// --- Launch forensics (snipers / same-block buyers) ---------------------
+
+const SNIPER_TX_LIMIT = 50;       // oldest pool transactions inspected
+const SNIPER_SLOT_WINDOW = 3;     // bought within creation slot + 3 = sniper
+const SNIPER_MAX_SIG_PAGES = 5;   // busy pools: give up past 5k signatures
+const SNIPER_MAX_AGE_DAYS = 30;   // older pools: launch is ancient history
+const SNIPER_CONCURRENCY = 4;
+const SNIPER_LIST_LIMIT = 20;
+
+// Net token balance change per owner wallet for `mint` in one transaction
+function tokenDeltasByOwner(tx, mint) {
+  const deltas = {};
+  const add = (balances, sign) => {
+    for (const b of balances || []) {
+      if (b.mint !== mint || !b.owner) continue;
+      deltas[b.owner] =
+        (deltas[b.owner] || 0) + sign * (b.uiTokenAmount?.uiAmount || 0);
+    }
+  };
+  add(tx?.meta?.preTokenBalances, -1);
+  add(tx?.meta?.postTokenBalances, 1);
+  return deltas;
+}
+
+// Pool vaults are owned by program PDAs; buyers are keypair wallets
+function isWalletAddress(address) {
+  try {
+    return isOnCurve(decodeBase58(address));
+  } catch {
+    return false;
+  }
+}
+
+// Wallets whose balance of `mint` went up in the first slots of the pool.
+// Launch history never changes, so callers can cache this for long.
+async function detectLaunchBuyers(pairAddress, mint) {
+  const sigs = await fetchOldestSignatureInfos(pairAddress, SNIPER_TX_LIMIT, {
+    complete: true,
+    maxPages: SNIPER_MAX_SIG_PAGES,
+  });
+  if (!sigs?.length) return null;
+
+  const creationSlot = sigs[0].slot;
+  const early = sigs.filter((s) => s.slot <= creationSlot + SNIPER_SLOT_WINDOW);
+  const txs = await mapWithConcurrency(early, SNIPER_CONCURRENCY, async (s) => {
+    try {
+      return await fetchParsedTransaction(s.signature);
+    } catch (e) {
+      console.error("launch tx fetch failed:", s.signature, e?.message || e);
+      return null;
+    }
+  });
+
+  const buyers = new Map();
+  early.forEach((s, i) => {
+    for (const [owner, delta] of Object.entries(tokenDeltasByOwner(txs[i], mint))) {
+      if (delta <= 0 || !isWalletAddress(owner)) continue;
+      const buyer = buyers.get(owner) || {
+        wallet: owner,
+        slot: s.slot,
+        slotOffset: s.slot - creationSlot,
+        signature: s.signature,
+        boughtUiAmount: 0,
+      };
+      buyer.boughtUiAmount += delta;
+      buyers.set(owner, buyer);
+    }
+  });
+
+  return {
+    pairAddress,
+    creationSlot,
+    creationTime: sigs[0].blockTime
+      ? new Date(sigs[0].blockTime * 1000).toISOString()
+      : null,
+    windowSlots: SNIPER_SLOT_WINDOW,
+    txScanned: early.length,
+    // every fetched tx was inside the window → there may be more
+    truncated: early.length === SNIPER_TX_LIMIT,
+    buyers: [...buyers.values()],
+  };
+}
+
+async function detectLaunchBuyersSafe(pairAddress, mint) {
+  try {
+    return await detectLaunchBuyers(pairAddress, mint);
+  } catch (e) {
+    console.error("detectLaunchBuyers failed:", e?.message || e);
+    return null;
+  }
+}
+
+// Current balance of each wallet's ATA for `mint` → { [wallet]: uiAmount }
+async function fetchWalletBalances(wallets, mint, tokenProgramId) {
+  const atas = wallets.map((w) => associatedTokenAddress(w, mint, tokenProgramId));
+  const balances = {};
+  for (let i = 0; i < atas.length; i += 100) {
+    const chunk = atas.slice(i, i + 100);
+    const result = await callRpc("getMultipleAccounts", [
+      chunk,
+      { encoding: "jsonParsed", commitment: "confirmed" },
+    ]);
+    const values = Array.isArray(result?.value) ? result.value : [];
+    chunk.forEach((_, j) => {
+      balances[wallets[i + j]] =
+        values[j]?.data?.parsed?.info?.tokenAmount?.uiAmount || 0;
+    });
+  }
+  return balances;
+}
+
+// launch buyers + current balances → sniperSummary
+async function buildSniperSummary(launch, { mint, tokenProgramId, supplyUi, thresholds }) {
+  const pctOf = (ui) => (supplyUi > 0 ? (ui / supplyUi) * 100 : 0);
+  const balances = launch.buyers.length
+    ? await fetchWalletBalances(
+        launch.buyers.map((b) => b.wallet),
+        mint,
+        tokenProgramId
+      )
+    : {};
+
+  const snipers = launch.buyers
+    .map((b) => {
+      const holdUiAmount = balances[b.wallet] ?? 0;
+      return {
+        ...b,
+        walletShort: shortAddr(b.wallet),
+        boughtPct: pctOf(b.boughtUiAmount),
+        holdUiAmount,
+        holdPct: pctOf(holdUiAmount),
+      };
+    })
+    .sort((a, b) => b.boughtUiAmount - a.boughtUiAmount);
+
+  const boughtPct = snipers.reduce((sum, s) => sum + s.boughtPct, 0);
+  const stillHoldPct = snipers.reduce((sum, s) => sum + s.holdPct, 0);
+  const sameBlockCount = snipers.filter((s) => s.slotOffset === 0).length;
+
+  let riskLevel = "low";
+  if (stillHoldPct > thresholds.holdPctBad) riskLevel = "high";
+  else if (stillHoldPct > thresholds.holdPctWarn) riskLevel = "medium";
+
+  const note = snipers.length
+    ? `${snipers.length} wallets bought within ${launch.windowSlots} slots of pool creation ` +
+      `(${sameBlockCount} in the same block), taking ${boughtPct.toFixed(1)}% of supply; ` +
+      `they still hold ${stillHoldPct.toFixed(1)}%.`
+    : "No wallets bought in the first slots after pool creation.";
+
+  return {
+    analysed: true,
+    pairAddress: launch.pairAddress,
+    creationSlot: launch.creationSlot,
+    creationTime: launch.creationTime,
+    windowSlots: launch.windowSlots,
+    txScanned: launch.txScanned,
+    truncated: launch.truncated,
+    sniperCount: snipers.length,
+    sameBlockCount,
+    boughtPct,
+    stillHoldPct,
+    snipers: snipers.slice(0, SNIPER_LIST_LIMIT),
+    riskLevel,
+    note,
+  };
+}
+
+async function buildSniperSummarySafe(launch, options) {
+  try {
+    return await buildSniperSummary(launch, options);
+  } catch (e) {
+    console.error("sniper summary failed:", e?.message || e);
+    return null;
+  }
+}
+
+// --- Sell simulation (honeypot check) -----------------------------------
+
+const SELL_SIM_TARGET_USD = 50;          // size of the test sell
+const SELL_SIM_FALLBACK_FRACTION = 0.01; // of the seller's bag when price is unknown
+const SELL_SIM_CANDIDATES = 5;           // top holders tried as the seller
+const SELL_SIM_SLIPPAGE_BPS = 5000;      // see the real output, not a slippage error
+const LAMPORTS_PER_SIGNATURE = 5000;
+const LAMPORTS_PER_SOL = 1e9;
+
+// Signature count = shortvec at the start of a serialized transaction
+function countSignatures(txBytes) {
+  let count = 0;
+  for (let i = 0, shift = 0; i < 3; i++, shift += 7) {
+    count |= (txBytes[i] & 0x7f) << shift;
+    if (!(txBytes[i] & 0x80)) break;
+  }
+  return count;
+}
+
+// First "Program X failed: …" log line = the innermost program that
+// failed (e.g. a transfer hook), not the router that bubbled it up
+function programFailure(logs) {
+  for (const line of logs || []) {
+    const m = /^Program (\w+) failed: (.*)$/.exec(line);
+    if (m) return { programId: m[1], message: m[2] };
+  }
+  return null;
+}
+
+// Top non-LP holders + their token accounts (getMultipleAccounts
+// jsonParsed, same order) → the first account a plain wallet can sell from
+// as it stands: skips pool, program and multisig holders, closed, frozen and
+// delegated accounts, so the simulation never fails for the seller's own
+// reasons. → { seller, frozen } (frozen = skipped frozen accounts)
+export function selectSellerAccount(holders, accountInfos) {
+  let frozen = 0;
+  for (let i = 0; i < holders.length; i++) {
+    const info = accountInfos[i]?.data?.parsed?.info;
+    if (!info?.owner || !isWalletAddress(info.owner)) continue;
+    if (info.state !== "initialized") {
+      if (info.state === "frozen") frozen++;
+      continue;
+    }
+    if (info.delegate) continue;
+    const amount = BigInt(info.tokenAmount?.amount || "0");
+    if (amount > 0n) {
+      return {
+        seller: {
+          wallet: info.owner,
+          tokenAccount: holders[i].address,
+          amount,
+          uiAmount: info.tokenAmount.uiAmount || 0,
+        },
+        frozen,
+      };
+    }
+  }
+  return { seller: null, frozen };
+}
+
+// Top holders worth checking on chain: wallets, plus unlabelled holders
+// (their owner is checked once the account is loaded)
+export function sellerCandidates(holders) {
+  return holders
+    .filter((h) => h.address && (h.category == null || h.category === "wallet"))
+    .slice(0, SELL_SIM_CANDIDATES);
+}
+
+async function pickSimulatedSeller(holders) {
+  const candidates = sellerCandidates(holders);
+  if (!candidates.length) return { seller: null, frozen: 0 };
+
+  const result = await callRpc("getMultipleAccounts", [
+    candidates.map((h) => h.address),
+    { encoding: "jsonParsed", commitment: "confirmed" },
+  ]);
+  return selectSellerAccount(candidates, Array.isArray(result?.value) ? result.value : []);
+}
+
+// Jupiter quote → { labels, ammKeys, matchesPrimaryPool }
+export function sellRoute(quote, pairAddress) {
+  const ammKeys = (quote?.routePlan || []).map((r) => r.swapInfo?.ammKey).filter(Boolean);
+  return {
+    labels: (quote?.routePlan || []).map((r) => r.swapInfo?.label).filter(Boolean),
+    ammKeys,
+    matchesPrimaryPool: Boolean(pairAddress) && ammKeys.includes(pairAddress),
+  };
+}
+
+// Build a small token → SOL sell through the primary pool (Jupiter, direct
+// route) for a real holder and run it with simulateTransaction. Signatures
+// aren't verified, so any plain wallet holder can stand in as the seller.
+async function simulateSell({ mint, holders, dexStats }) {
+  const { swap, simRpc } = getDataProviders();
+  if (!swap) return { sellable: null, note: "No swap API configured – sell not simulated." };
+  if (!dexStats.pairAddress) return { sellable: null, note: "No pool to sell into." };
+
+  // a frozen holder says nothing about everyone else; a mint that freezes
+  // every new account is flagged by its extensions instead
+  const { seller, frozen } = await pickSimulatedSeller(holders);
+  if (!seller) {
+    return {
+      sellable: null,
+      frozenHolders: frozen,
+      note: frozen
+        ? `No sellable wallet among the top holders (${frozen} frozen) – sell not simulated.`
+        : "No wallet-held balance to simulate a sell from.",
+    };
+  }
+
+  // ~$50 worth, or 1% of the bag if we have no price
+  const targetUi =
+    dexStats.priceUsd > 0 ? SELL_SIM_TARGET_USD / dexStats.priceUsd : 0;
+  const fraction =
+    targetUi > 0 && seller.uiAmount > 0
+      ? Math.min(1, targetUi / seller.uiAmount)
+      : SELL_SIM_FALLBACK_FRACTION;
+  let amount = (seller.amount * BigInt(Math.round(fraction * 1e6))) / 1_000_000n;
+  if (amount <= 0n) amount = 1n;
+  const amountUi = seller.uiAmount * (Number(amount) / Number(seller.amount));
+
+  const base = {
+    seller: {
+      wallet: seller.wallet,
+      walletShort: shortAddr(seller.wallet),
+      tokenAccount: seller.tokenAccount,
+    },
+    amountUi,
+    simulatedOn: simRpc.name,
+  };
+
+  let quote;
+  try {
+    quote = await swap.quote({
+      inputMint: mint,
+      outputMint: WSOL_MINT,
+      amount: amount.toString(),
+      slippageBps: SELL_SIM_SLIPPAGE_BPS,
+      onlyDirectRoutes: true,
+    });
+  } catch (e) {
+    if (e.status && e.status < 500) {
+      return { ...base, sellable: null, note: `No direct sell route: ${e.message}` };
+    }
+    throw e;
+  }
+
+  const route = sellRoute(quote, dexStats.pairAddress);
+  // a sell through some other pool says nothing about the one we score
+  if (!route.matchesPrimaryPool) {
+    return {
+      ...base,
+      route,
+      sellable: null,
+      note: `Jupiter routed the sell through ${route.labels.join(", ") || "another pool"}, not the primary pool – sell not simulated.`,
+    };
+  }
+
+  const { swapTransaction } = await swap.swapTransaction({
+    quoteResponse: quote,
+    userPublicKey: seller.wallet,
+    wrapAndUnwrapSol: true,
+    dynamicComputeUnitLimit: true,
+    prioritizationFeeLamports: 0,
+  });
+
+  const [balance, sim] = await Promise.all([
+    simRpc.rpc("getBalance", [seller.wallet, { commitment: "processed" }]),
+    simRpc.rpc("simulateTransaction", [
+      swapTransaction,
+      {
+        encoding: "base64",
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+        commitment: "processed",
+        accounts: { encoding: "base64", addresses: [seller.wallet] },
+      },
+    ]),
+  ]);
+
+  const value = sim?.value || {};
+  const logs = Array.isArray(value.logs) ? value.logs : [];
+  if (value.err) {
+    const failure = programFailure(logs);
+    return {
+      ...base,
+      route,
+      sellable: false,
+      error: {
+        err: value.err,
+        programId: failure?.programId || null,
+        message: failure?.message || JSON.stringify(value.err),
+        logs: logs.slice(-8),
+      },
+      unitsConsumed: value.unitsConsumed ?? null,
+      note: `Test sell failed: ${failure?.message || JSON.stringify(value.err)}`,
+    };
+  }
+
+  // native SOL received = balance change + the fee the tx paid
+  const fee = countSignatures(Buffer.from(swapTransaction, "base64")) * LAMPORTS_PER_SIGNATURE;
+  const after = value.accounts?.[0]?.lamports;
+  const before = balance?.value;
+  const receivedLamports =
+    after != null && before != null ? after - before + fee : null;
+
+  const quotedOutSol = Number(quote.outAmount) / LAMPORTS_PER_SOL;
+  const simulatedOutSol =
+    receivedLamports != null ? receivedLamports / LAMPORTS_PER_SOL : null;
+  const expectedOutSol = dexStats.priceSol ? amountUi * dexStats.priceSol : null;
+  const priceImpactPct = Number(quote.priceImpactPct || 0) * 100;
+
+  const lossPct = (expected) =>
+    expected > 0 && simulatedOutSol != null
+      ? Math.max(0, (1 - simulatedOutSol / expected) * 100)
+      : null;
+  // everything lost vs. the DexScreener spot price (fees, impact, taxes)
+  const effectiveTaxPct = lossPct(expectedOutSol);
+  // what the seller lost beyond Jupiter's quote for the same pool state –
+  // hidden taxes / hooks the router didn't price in
+  const taxPct = lossPct(quotedOutSol);
+
+  const sellable = simulatedOutSol == null ? true : simulatedOutSol > 0;
+  return {
+    ...base,
+    route,
+    sellable,
+    quotedOutSol,
+    simulatedOutSol,
+    expectedOutSol,
+    priceImpactPct,
+    effectiveTaxPct,
+    taxPct,
+    error: null,
+    unitsConsumed: value.unitsConsumed ?? null,
+    note: !sellable
+      ? "Test sell went through but paid out no SOL."
+      : taxPct != null
+      ? `Test sell works; received ${taxPct.toFixed(1)}% less than quoted.`
+      : "Test sell works.",
+  };
+}
+
+async function simulateSellSafe(input) {
+  try {
+    return await simulateSell(input);
+  } catch (e) {
+    console.error("simulateSell failed:", e?.message || e);
+    return { sellable: null, note: `Sell simulation failed: ${e?.message || e}` };
+  }
+}
+
+// --- DexScreener integration ------------------------------------------
+
+const DEX_CHAIN_ID = "solana";
+
+// Quote tokens whose USD value we trust; liquidity against anything else
+// is only as real as that token's price
+const MAJOR_QUOTE_MINTS = {
+  [WSOL_MINT]: "SOL",
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: "USDC",
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: "USDT",
+};
+
+function pairAgeDays(pair) {
+  const createdMs = Number(pair.pairCreatedAt);
+  const now = Date.now();
+  if (Number.isNaN(createdMs) || createdMs <= 0 || createdMs >= now) return null;
+  return (now - createdMs) / (1000 * 60 * 60 * 24);
+}
+
+// Holder whose balance is within 20% of a pool's token reserve – that
+// account is the pool vault
+function matchPoolHolder(holders, poolReserve) {
+  if (poolReserve == null || Number.isNaN(poolReserve) || poolReserve <= 0) return null;
+  let match = null;
+  let bestRelDiff = Infinity;
+  for (const h of holders) {
+    if (!h.uiAmount || Number.isNaN(h.uiAmount)) continue;
+    const rel = Math.abs(h.uiAmount - poolReserve) / poolReserve;
+    if (rel < 0.2 && rel < bestRelDiff) {
+      bestRelDiff = rel;
+      match = h;
+    }
+  }
+  return match;
+}
+
+// One row of the pool table (see summarizeDexPairs)
+function describePool(pair, { liquidityUsd, poolMintReserve, baseIsMint }) {
+  const other = baseIsMint ? pair.quoteToken : pair.baseToken;
+  const buys = Number(pair.txns?.h24?.buys || 0);
+  const sells = Number(pair.txns?.h24?.sells || 0);
+  const ageDays = pairAgeDays(pair);
+  return {
+    pairAddress: pair.pairAddress || null,
+    dexId: pair.dexId ? String(pair.dexId).toLowerCase() : null,
+    labels: Array.isArray(pair.labels) ? pair.labels : [],
+    quoteToken: {
+      address: other?.address || null,
+      symbol: other?.symbol || null,
+      major: Boolean(MAJOR_QUOTE_MINTS[other?.address]),
+    },
+    liquidityUsd,
+    poolMintReserve: poolMintReserve ?? null,
+    volume24Usd: Number(pair.volume?.h24 || 0) || null,
+    buys24: buys,
+    sells24: sells,
+    txCount24: buys + sells || null,
+    createdAt: ageDays != null ? new Date(Number(pair.pairCreatedAt)).toISOString() : null,
+    ageDays,
+    url: pair.url || null,
+  };
+}
+
+// Pick the deepest pool for this mint and pull price / age / volume / socials
+export function summarizeDexPairs(mint, json) {
+  const chainId = DEX_CHAIN_ID;
+  const pairs = Array.isArray(json) ? json : [];
+  if (!pairs.length) {
+    return {
+      priceUsd: null,
+      liquidityUsd: null,
+      ageDays: null,
+      volume24Usd: null,
+      txCount24: null,
+      dexFeesUsd24h: null,
+      poolMintReserve: null,
+      socials: null,
+      dexId: null,
+      pairAddress: null,
+      priceSol: null,
+      pools: [],
+      totalLiquidityUsd: null,
+      majorQuoteLiquidityUsd: null,
+      oldestPoolAgeDays: null,
+    };
+  }
+
+  const mintLower = mint.toLowerCase();
+  let best = null;
+  let bestLiq = 0;
+  const pools = [];
+
+  for (const p of pairs) {
+    if (!p || p.chainId !== chainId) continue;
+
+    const liqUsd =
+      p.liquidity && typeof p.liquidity.usd === "number"
+        ? p.liquidity.usd
+        : Number(p.liquidity?.usd ?? NaN);
+    const priceUsd = p.priceUsd != null ? Number(p.priceUsd) : NaN;
+    const priceNative = p.priceNative != null ? Number(p.priceNative) : NaN;
+
+    if (!liqUsd || Number.isNaN(liqUsd) || Number.isNaN(priceUsd)) continue;
+
+    const baseAddr = p.baseToken?.address?.toLowerCase();
+    const quoteAddr = p.quoteToken?.address?.toLowerCase();
+
+    let myPriceUsd = null;
+    let poolMintReserve = null;
+
+    if (baseAddr === mintLower) {
+      myPriceUsd = priceUsd;
+      poolMintReserve =
+        p.liquidity?.base != null ? Number(p.liquidity.base) : null;
+    } else if (
+      quoteAddr === mintLower &&
+      !Number.isNaN(priceNative) &&
+      priceNative !== 0
+    ) {
+      myPriceUsd = priceUsd / priceNative;
+      poolMintReserve =
+        p.liquidity?.quote != null ? Number(p.liquidity.quote) : null;
+    } else {
+      continue;
+    }
+
+    if (Number.isNaN(myPriceUsd)) continue;
+    pools.push(
+      describePool(p, {
+        liquidityUsd: liqUsd,
+        poolMintReserve,
+        baseIsMint: baseAddr === mintLower,
+      })
+    );
+    if (!best || liqUsd > bestLiq) {
+      best = {
+        pair: p,
+        priceUsd: myPriceUsd,
+        liquidityUsd: liqUsd,
+        poolMintReserve,
+      };
+      bestLiq = liqUsd;
+    }
+  }
+
+  if (!best) {
+    const p = pairs.reduce((a, b) =>
+      (a.liquidity?.usd || 0) >= (b.liquidity?.usd || 0) ? a : b
+    );
+    best = {
+      pair: p,
+      priceUsd: Number(p.priceUsd ?? NaN),
+      liquidityUsd: Number(p.liquidity?.usd ?? NaN),
+      poolMintReserve:
+        p.baseToken?.address?.toLowerCase() === mintLower
+          ? Number(p.liquidity?.base ?? NaN)
+          : Number(p.liquidity?.quote ?? NaN),
+    };
+  }
+
+  const selected = best.pair;
+  let volume24 = null;
+  let txCount24 = null;
+  let ageDays = null;
+  let dexFeesUsd24h = null;
+
+  if (selected.volume && selected.volume.h24 != null) {
+    const v24 = Number(selected.volume.h24);
+    if (!Number.isNaN(v24) && v24 > 0) volume24 = v24;
+  }
+
+  if (selected.txns && selected.txns.h24) {
+    const buys = Number(selected.txns.h24.buys || 0);
+    const sells = Number(selected.txns.h24.sells || 0);
+    const total = buys + sells;
+    if (!Number.isNaN(total) && total > 0) txCount24 = total;
+  }
+
+  if (volume24 != null) dexFeesUsd24h = volume24 * 0.003;
+
+  // pairCreatedAt in ms
+  if (selected.pairCreatedAt != null) ageDays = pairAgeDays(selected);
+
+  // Socials + website (URLs)
+  let socials = null;
+  if (selected.info) {
+    const info = selected.info;
+    const websites = Array.isArray(info.websites) ? info.websites : [];
+    const socialsArr = Array.isArray(info.socials) ? info.socials : [];
+
+    const website =
+      websites.length && websites[0] && typeof websites[0].url === "string"
+        ? websites[0].url
+        : null;
+
+    const find = (platformName) =>
+      socialsArr.find(
+        (s) =>
+          s &&
+          typeof s.platform === "string" &&
+          s.platform.toLowerCase() === platformName
+      ) || null;
+
+    const tw = find("twitter");
+    const tg = find("telegram");
+    const dc = find("discord");
+
+    const others = socialsArr
+      .filter(
+        (s) =>
+          s &&
+          typeof s.platform === "string" &&
+          !["twitter", "telegram", "discord"].includes(
+            s.platform.toLowerCase()
+          )
+      )
+      .map((s) => ({
+        platform: s.platform,
+        url: s.handle ? `https://${s.platform}.com/${s.handle}` : null,
+      }));
+
+    socials = {
+      website,
+      twitter: tw && tw.handle ? `https://x.com/${tw.handle}` : null,
+      telegram: tg && tg.handle ? `https://t.me/${tg.handle}` : null,
+      discord: dc && dc.handle ? `https://discord.gg/${dc.handle}` : null,
+      others,
+    };
+  }
+
+  // SOL per token, only when the other side of the pool is SOL
+  let priceSol = null;
+  const baseIsMint = selected.baseToken?.address?.toLowerCase() === mintLower;
+  const otherSide = baseIsMint
+    ? selected.quoteToken?.address
+    : selected.baseToken?.address;
+  const native = Number(selected.priceNative ?? NaN);
+  if (otherSide === WSOL_MINT && native > 0) {
+    priceSol = baseIsMint ? native : 1 / native;
+  }
+
+  // Every pool, deepest first; age comes from the oldest one
+  pools.sort((a, b) => b.liquidityUsd - a.liquidityUsd);
+  const sumLiquidity = (list) => list.reduce((sum, p) => sum + p.liquidityUsd, 0);
+  const poolAges = pools.map((p) => p.ageDays).filter((d) => d != null);
+
+  return {
+    priceUsd: best.priceUsd,
+    priceSol,
+    liquidityUsd: best.liquidityUsd,
+    pools,
+    totalLiquidityUsd: pools.length ? sumLiquidity(pools) : best.liquidityUsd,
+    majorQuoteLiquidityUsd: pools.length
+      ? sumLiquidity(pools.filter((p) => p.quoteToken.major))
+      : null,
+    oldestPoolAgeDays: poolAges.length ? Math.max(...poolAges) : ageDays,
+    poolMintReserve: best.poolMintReserve ?? null,
+    ageDays,
+    volume24Usd: volume24,
+    txCount24,
+    dexFeesUsd24h,
+    socials,
+    dexId: selected.dexId ? String(selected.dexId).toLowerCase() : null,
+    pairAddress: selected.pairAddress || null,
+  };
+}
+
+// Raw DexScreener pairs for one mint; throws if the API failed
+function fetchDexPairs(mint) {
+  return getDataProviders().dex.fetchTokenPairs(DEX_CHAIN_ID, mint);
+}
+
+// DexScreener pairs for many mints at once → { [mint]: pairs[] }.
+// A pair is listed under every requested mint it trades.
+export async function fetchDexPairsForMints(mints) {
+  const json = await getDataProviders().dex.fetchPairsForTokens(
+    DEX_CHAIN_ID,
+    mints
+  );
+  const pairs = Array.isArray(json) ? json : [];
+  const byMint = Object.fromEntries(mints.map((m) => [m, []]));
+  const lowerToMint = Object.fromEntries(mints.map((m) => [m.toLowerCase(), m]));
+
+  for (const p of pairs) {
+    for (const addr of [p?.baseToken?.address, p?.quoteToken?.address]) {
+      const m = addr ? lowerToMint[addr.toLowerCase()] : null;
+      if (m && !byMint[m].includes(p)) byMint[m].push(p);
+    }
+  }
+  return byMint;
+}
+
+// --- Origin attribution (programs that touched the mint) ---------------
+
+// Every program a transaction invoked, top-level and CPI
+function invokedPrograms(tx) {
+  const message = tx?.transaction?.message;
+  const inner = Array.isArray(tx?.meta?.innerInstructions)
+    ? tx.meta.innerInstructions.flatMap((ix) => ix.instructions || [])
+    : [];
+  const ids = [...(message?.instructions || []), ...inner]
+    .map((ix) => ix.programId)
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+// Programs invoked by the mint's creation tx + the program owning each pool.
+// Both are history, so the result caches well.
+async function fetchOriginEvidence({ creationSignature, poolAddresses }) {
+  const [creationTx, poolAccounts] = await Promise.all([
+    creationSignature ? fetchParsedTransaction(creationSignature) : null,
+    poolAddresses.length
+      ? callRpc("getMultipleAccounts", [
+          poolAddresses,
+          { encoding: "base64", dataSlice: { offset: 0, length: 0 }, commitment: "confirmed" },
+        ])
+      : null,
+  ]);
+  return {
+    creationSignature,
+    creationPrograms: creationTx ? invokedPrograms(creationTx) : [],
+    poolOwners: Object.fromEntries(
+      poolAddresses.map((a, i) => [a, poolAccounts?.value?.[i]?.owner || null])
+    ),
+  };
+}
+
+async function fetchOriginEvidenceSafe(input) {
+  try {
+    return await fetchOriginEvidence(input);
+  } catch (e) {
+    console.error("origin evidence lookup failed:", e?.message || e);
+    return null;
+  }
+}
+
+// Launchpad + AMM from program IDs (config/programs.json), strongest
+// evidence first: the creation tx or the curve account (high), a pool owned
+// by a launchpad program (medium), the primary pool's AMM (medium). Keyword
+// matching is only a labelled low-confidence fallback.
+// → { key, label, detail, confidence, evidence[], amm, keywordGuess }
+function attributeOrigin({ evidence, bondingCurve, pools, primaryPairAddress, keywordOrigin }) {
+  const found = [];
+
+  for (const programId of evidence?.creationPrograms || []) {
+    const entry = lookupProgram(programId);
+    if (entry) {
+      found.push({ source: "creationTx", signature: evidence.creationSignature, ...entry });
+    }
+  }
+  if (bondingCurve?.launchpad === "pump") {
+    const entry = lookupProgram(PUMP_FUN_PROGRAM_ID);
+    if (entry) found.push({ source: "bondingCurve", address: bondingCurve.curveAddress, ...entry });
+  }
+  // primary pool first, so it names the AMM
+  const orderedPools = [...pools].sort(
+    (a, b) => (b.pairAddress === primaryPairAddress) - (a.pairAddress === primaryPairAddress)
+  );
+  for (const pool of orderedPools) {
+    const entry = lookupProgram(evidence?.poolOwners?.[pool.pairAddress]);
+    if (entry) found.push({ source: "pool", pairAddress: pool.pairAddress, ...entry });
+  }
+
+  const strong = found.find(
+    (e) => e.kind === "launchpad" && (e.source === "creationTx" || e.source === "bondingCurve")
+  );
+  const launchpad = strong || found.find((e) => e.kind === "launchpad");
+  const amm = found.find((e) => e.kind === "amm") || null;
+  const pick = launchpad || amm;
+
+  const keywordGuess =
+    keywordOrigin.key !== "unknown" ? { key: keywordOrigin.key, label: keywordOrigin.label } : null;
+  const asEvidence = ({ detail: _detail, ...e }) => e;
+
+  if (pick) {
+    return {
+      key: pick.key,
+      label: pick.label,
+      detail: pick.detail,
+      confidence: strong ? "high" : "medium",
+      evidence: found.filter((e) => e.key === pick.key).map(asEvidence),
+      amm: amm ? { key: amm.key, label: amm.label, programId: amm.programId } : null,
+      keywordGuess,
+    };
+  }
+
+  if (keywordGuess) {
+    return {
+      ...keywordOrigin,
+      detail: `Guessed from name, metadata or DexScreener labels – not confirmed on-chain. ${keywordOrigin.detail}`,
+      confidence: "low",
+      evidence: [{ source: "keywords" }],
+      amm: null,
+      keywordGuess,
+    };
+  }
+
+  return { ...keywordOrigin, confidence: "none", evidence: [], amm: null, keywordGuess: null };
+}
+
+// Keyword / mint-suffix guess – fallback for attributeOrigin only
+function guessOriginFromKeywords({ mint, name, symbol, desc, dexId }) {
+  const lowerMint = (mint || "").toLowerCase();
+  const lowerName = (name || "").toLowerCase();
+  const lowerSym = (symbol || "").toLowerCase();
+  const lowerDesc = (desc || "").toLowerCase();
+  const dex = (dexId || "").toLowerCase();
+
+  let key = "unknown";
+  let label = "Unknown protocol / origin";
+  let detail =
+    "Origin could not be confidently determined from mint pattern, metadata, or pool.";
+
+  const hasAny = (str, words) =>
+    words.some((w) => w && str.includes(w.toLowerCase()));
+
+  // Pump.fun
+  if (
+    lowerMint.endsWith("pump") ||
+    hasAny(lowerDesc, ["pump.fun"]) ||
+    hasAny(lowerName, [" pump", "pump "]) ||
+    hasAny(lowerSym, ["pump"]) ||
+    dex === "pump"
+  ) {
+    key = "pump";
+    label = "Pump.fun";
+    detail =
+      "Token likely minted via Pump.fun or traded primarily on Pump.fun pools. Pump.fun often locks LP, but always verify LP lock and insiders.";
+    return { key, label, detail };
+  }
+
+  // Bonk ecosystem
+  if (
+    lowerMint.endsWith("bonk") ||
+    hasAny(lowerName, ["bonk"]) ||
+    hasAny(lowerDesc, ["bonk", "bonkbot"])
+  ) {
+    key = "bonk";
+    label = "Bonk ecosystem";
+    detail =
+      "Token appears related to Bonk tooling or branding. LP and insider distribution still drive risk.";
+    return { key, label, detail };
+  }
+
+  // Sugar
+  if (
+    lowerMint.endsWith("sugar") ||
+    hasAny(lowerName, ["sugar"]) ||
+    hasAny(lowerDesc, ["sugar"])
+  ) {
+    key = "sugar";
+    label = "Sugar";
+    detail =
+      "Mint or metadata suggests a Sugar-style launch. LP and insider distribution remain the main safety signals.";
+    return { key, label, detail };
+  }
+
+  // Bags
+  if (
+    lowerMint.endsWith("bags") ||
+    hasAny(lowerDesc, ["bags.fun"]) ||
+    hasAny(lowerName, ["bags "]) ||
+    hasAny(lowerSym, ["bags"])
+  ) {
+    key = "bags";
+    label = "Bags";
+    detail =
+      "Token metadata or mint pattern resembles Bags-style launches. Check LP and holder spread carefully.";
+    return { key, label, detail };
+  }
+
+  // Daos.fun
+  if (
+    hasAny(lowerDesc, ["daos.fun"]) ||
+    hasAny(lowerName, ["daos "]) ||
+    hasAny(lowerSym, ["daos"])
+  ) {
+    key = "daosfun";
+    label = "Daos.fun";
+    detail =
+      "Likely launched via Daos.fun. Governance/DAO features may apply, but rug risk still depends on insiders and LP.";
+    return { key, label, detail };
+  }
+
+  // Believe
+  if (
+    lowerMint.endsWith("blv") ||
+    hasAny(lowerName, ["believe"]) ||
+    hasAny(lowerSym, ["blv"]) ||
+    hasAny(lowerDesc, ["believe protocol"])
+  ) {
+    key = "believe";
+    label = "Believe";
+    detail =
+      "Branding suggests a Believe-style launch. LP and insider structure are what matter for safety.";
+    return { key, label, detail };
+  }
+
+  // Boop
+  if (
+    lowerMint.endsWith("boop") ||
+    hasAny(lowerName, ["boop"]) ||
+    hasAny(lowerSym, ["boop"])
+  ) {
+    key = "boop";
+    label = "Boop";
+    detail =
+      "Name, symbol or mint suffix suggests a Boop-style launch. Check for concentrated insiders and LP unlock risk.";
+    return { key, label, detail };
+  }
+
+  // Mayhem
+  if (
+    lowerMint.endsWith("mayhem") ||
+    hasAny(lowerName, ["mayhem"]) ||
+    hasAny(lowerDesc, ["mayhem"])
+  ) {
+    key = "mayhem";
+    label = "Mayhem Protocol";
+    detail =
+      "Token appears linked to Mayhem’s high-volatility launch mechanics. Expect extremely degen early trading conditions.";
+    return { key, label, detail };
+  }
+
+  // Moonshot
+  if (
+    lowerMint.endsWith("moonshot") ||
+    hasAny(lowerName, ["moonshot"]) ||
+    hasAny(lowerDesc, ["moonshot"])
+  ) {
+    key = "moonshot";
+    label = "Moonshot";
+    detail =
+      "Moonshot-style launch. Watch token age and insider activity closely.";
+    return { key, label, detail };
+  }
+
+  // Candle
+  if (
+    lowerMint.endsWith("candle") ||
+    hasAny(lowerName, ["candle"]) ||
+    hasAny(lowerDesc, ["candle"])
+  ) {
+    key = "candle";
+    label = "Candle";
+    detail =
+      "Token name or mint suggests a Candle-style launch. Check LP lock and holder distribution.";
+    return { key, label, detail };
+  }
+
+  // Heaven
+  if (
+    lowerMint.endsWith("heaven") ||
+    hasAny(lowerName, ["heaven"]) ||
+    hasAny(lowerDesc, ["heaven"])
+  ) {
+    key = "heaven";
+    label = "Heaven";
+    detail =
+      "Heaven-style branding detected. Still a degen launch; treat risk as normal for memes.";
+    return { key, label, detail };
+  }
+
+  // Moonit
+  if (
+    lowerMint.endsWith("moonit") ||
+    lowerMint.endsWith("moont") ||
+    hasAny(lowerName, ["moonit", "moont"]) ||
+    hasAny(lowerDesc, ["moonit", "moont"])
+  ) {
+    key = "moonit";
+    label = "Moonit";
+    detail =
+      "Looks like a Moonit-style token. Small-cap degen launches require careful attention to holders and LP safety.";
+    return { key, label, detail };
+  }
+
+  // Jupiter Studio
+  if (
+    hasAny(lowerDesc, ["jupiter studio"]) ||
+    hasAny(lowerName, ["jupiter studio"])
+  ) {
+    key = "jupiter-studio";
+    label = "Jupiter Studio";
+    detail =
+      "Likely created via Jupiter Studio or associated tools. Origin is more structured, but LP and insiders still drive risk.";
+    return { key, label, detail };
+  }
+
+  // LaunchLab
+  if (
+    hasAny(lowerDesc, ["launchlab"]) ||
+    hasAny(lowerName, ["launchlab"]) ||
+    lowerMint.endsWith("launchlab")
+  ) {
+    key = "launchlab";
+    label = "LaunchLab";
+    detail =
+      "Likely launched via LaunchLab. Fair-launch style does not remove rug risk from insiders or LP.";
+    return { key, label, detail };
+  }
+
+  // Wavebreak
+  if (
+    hasAny(lowerDesc, ["wavebreak"]) ||
+    hasAny(lowerName, ["wavebreak"])
+  ) {
+    key = "wavebreak";
+    label = "Wavebreak";
+    detail =
+      "Branding suggests a Wavebreak-related token. Always verify LP lock and insider holdings.";
+    return { key, label, detail };
+  }
+
+  // Dynamic BC
+  if (
+    hasAny(lowerName, ["dynamic bc"]) ||
+    hasAny(lowerDesc, ["dynamic bc", "dynamicbc"])
+  ) {
+    key = "dynamic-bc";
+    label = "Dynamic BC";
+    detail =
+      "Token metadata references Dynamic BC. Treat as an experimental launch style; LP and insiders still drive rug risk.";
+    return { key, label, detail };
+  }
+
+  // AMMs
+  if (dex === "raydium") {
+    key = "raydium";
+    label = "Raydium AMM";
+    detail =
+      "Primary liquidity pool is on Raydium. LP safety depends on lock/burn status and who holds the LP tokens.";
+    return { key, label, detail };
+  }
+
+  if (dex === "orca") {
+    key = "orca";
+    label = "Orca AMM";
+    detail =
+      "Primary liquidity pool is on Orca. Check LP lock and holder concentration for rug risk.";
+    return { key, label, detail };
+  }
+
+  if (dex === "meteora" || dex === "meteora-amm-v2" || dex === "meteora-amm") {
+    key = "meteora";
+    label = "Meteora AMM";
+    detail =
+      "Primary liquidity pool is on Meteora. Dynamic pools can be capital-efficient but LP unlocks can still rug.";
+    return { key, label, detail };
+  }
+
+  if (dex === "pump") {
+    key = "pump-amm";
+    label = "Pump AMM";
+    detail =
+      "Token trades mainly via Pump AMM liquidity. Verify LP lock/burn and top-holder distribution.";
+    return { key, label, detail };
+  }
+
+  return { key, label, detail };
+}
+
+// --- Scan ---------------------------------------------------------------
+
+// Which cache sources feed each response block
+const BLOCK_SOURCES = {
+  tokenMeta: ["metadata"],
+  mintInfo: ["mint", "authorities"],
+  mintExtensions: ["mint"],
+  holderSummary: ["holders", "labels"],
+  holderDistribution: ["holders"],
+  insiderSummary: ["holders", "labels"],
+  insiderClusters: ["holders", "labels"],
+  tokenMetrics: ["market"],
+  tokenAge: ["market", "mintCreated"],
+  liquidityBreakdown: ["market", "holders"],
+  bondingCurve: ["curve", "market"],
+  liquidityTruth: ["market", "lpLock"],
+  deployerProfile: ["deployer"],
+  sniperSummary: ["launch"],
+  sellSimulation: ["sellSim"],
+  originHint: ["origin", "curve", "market"],
+};
+
+// { block: { cachedAt, ageSeconds } } – a block is as old as its oldest input
+function buildFreshness(loadedAt) {
+  const now = Date.now();
+  const describe = (times) => {
+    const known = times.filter((t) => t != null && Number.isFinite(t));
+    if (!known.length) return null;
+    const oldest = Math.min(...known);
+    return {
+      cachedAt: new Date(oldest).toISOString(),
+      ageSeconds: Math.max(0, Math.round((now - oldest) / 1000)),
+    };
+  };
+
+  const freshness = {};
+  for (const [block, sources] of Object.entries(BLOCK_SOURCES)) {
+    freshness[block] = describe(sources.map((s) => loadedAt[s]));
+  }
+  freshness.riskSummary = describe(Object.values(loadedAt));
+  return freshness;
+}
+
+// 6 → "6H", 48 → "2D" (threshold part of codes like AGE_LT_6H)
+function hoursCode(hours) {
+  return hours >= 48 && hours % 24 === 0 ? `${hours / 24}D` : `${hours}H`;
+}
+
+function scanError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Full GlassBox analysis for one mint → the JSON /api/check returns.
+// `prefetched` lets batch callers pass data they already loaded in bulk:
+//   accountInfo – the mint account (getAccountInfo `value`, base64)
+//   dexPairs    – DexScreener pairs for this mint
+// `options.fresh` (?fresh=1) bypasses cached inputs; `options.profile`
+// names the scoring profile (lib/profiles.js).
+// `options.onSection(name, data)` is called as soon as each response block
+// is final (for /api/check/stream); `options.onSectionError(name, message)`
+// when a block had to fall back because its input failed. Those failures
+// are also listed in `errors` instead of failing the whole scan.
+// Throws an Error with `.status` (404 for non-mints, 400 for bad profiles).
+export async function scanMint(
+  mint,
+  prefetched = {},
+  { fresh = false, profile: profileName, onSection, onSectionError } = {}
+) {
+  const profile = getScoringProfile(profileName);
+
+  // Blocks whose input failed → error message; they still get a fallback
+  const sectionErrors = {};
+  const failSection = (name) => (e) => {
+    console.error(`scan ${name} input failed:`, e?.message || e);
+    sectionErrors[name] = e?.message || "Lookup failed";
+    return null;
+  };
+  // Inputs that aren't a block of their own are reported with the block
+  // they feed
+  const inputsOf = { insiderSummary: ["holderLabels"] };
+  const sent = new Set();
+  const emit = (blocks) => {
+    for (const [name, data] of Object.entries(blocks)) {
+      sent.add(name);
+      for (const input of [name, ...(inputsOf[name] || [])]) {
+        if (sectionErrors[input]) onSectionError?.(input, sectionErrors[input]);
+      }
+      onSection?.(name, data);
+    }
+  };
+
+  // When each source was loaded (oldest wins if a source is read twice)
+  const loadedAt = {};
+  const noteLoaded = (source, at) => {
+    loadedAt[source] = Math.min(loadedAt[source] ?? Infinity, at);
+  };
+  const cached = async (source, key, loader) => {
+    const { value, cachedAt } = await cacheThrough(source, key, loader, { fresh });
+    noteLoaded(source, cachedAt);
+    return value;
+  };
+  const prefetchedValue = (source, value) => {
+    noteLoaded(source, Date.now());
+    return Promise.resolve(value);
+  };
+
+  // 1) Mint account
+  const accountInfoPromise =
+    prefetched.accountInfo !== undefined
+      ? prefetchedValue("mint", { value: prefetched.accountInfo })
+      : cached("mint", mint, () =>
+          callRpc("getAccountInfo", [
+            mint,
+            { encoding: "base64", commitment: "confirmed" },
+          ])
+        );
+
+  // 2) Token metadata
+  const assetPromise = cached("metadata", mint, () => fetchAsset(mint)).catch(
+    failSection("tokenMeta")
+  );
+
+  // 3) Largest accounts (top holders)
+  const largestPromise = cached("holders", `${mint}:largest`, () =>
+    callRpc("getTokenLargestAccounts", [mint, { commitment: "confirmed" }])
+  ).catch(failSection("holderSummary"));
+
+  // 4) Dex stats
+  const dexStatsPromise = (
+    prefetched.dexPairs
+      ? prefetchedValue("market", prefetched.dexPairs)
+      : cached("market", mint, () => fetchDexPairs(mint)).catch(failSection("tokenMetrics"))
+  ).then((pairs) => summarizeDexPairs(mint, pairs));
+
+  // 5) Every holder – count + distribution (needs the token program from step 1)
+  const holderPassPromise = accountInfoPromise
+    .then((info) =>
+      cached("holders", `${mint}:all`, () =>
+        scanTokenHolders(mint, info?.value?.owner || TOKEN_PROGRAM_ID)
+      )
+    )
+    .catch(failSection("holderDistribution"));
+
+  // Only the mint account is fatal; everything else degrades per block
+  const accountInfo = await accountInfoPromise;
+  const tokenProgramId = accountInfo?.value?.owner;
+  if (
+    !accountInfo?.value ||
+    (tokenProgramId !== TOKEN_PROGRAM_ID &&
+      tokenProgramId !== TOKEN_2022_PROGRAM_ID)
+  ) {
+    throw scanError(404, "Not a valid SPL mint account");
+  }
+  const isToken2022 = tokenProgramId === TOKEN_2022_PROGRAM_ID;
+
+  // Launchpad curve state moves with every trade, like the market data
+  const curvePromise = cached("curve", mint, () => fetchBondingCurveSafe(mint));
+
+  // Paging the mint's history back to its first tx can take a while
+  const mintCreationPromise = cached("mintCreated", mint, () =>
+    fetchMintCreationSafe(mint)
+  );
+
+  // Mint core info
+  const mintDataBase64 = accountInfo.value.data?.[0];
+  const mintParsed = parseMintAccount(mintDataBase64);
+
+  // keyed by the addresses, so a changed authority is never served stale
+  const authorities = await cached(
+    "authorities",
+    `${mintParsed.mintAuthority}:${mintParsed.freezeAuthority}`,
+    () => classifyAuthorities(mintParsed.mintAuthority, mintParsed.freezeAuthority)
+  );
+
+  const mintInfo = {
+    supply: mintParsed.supply,
+    decimals: mintParsed.decimals,
+    mintAuthority: mintParsed.hasMintAuthority,
+    freezeAuthority: mintParsed.hasFreezeAuthority,
+    mintAuthorityAddress: mintParsed.mintAuthority,
+    freezeAuthorityAddress: mintParsed.freezeAuthority,
+    authorities,
+    tokenProgram: isToken2022 ? "token-2022" : "spl-token",
+  };
+
+  // Only trust the mint string if the real issuer still controls it
+  const stableCandidate = STABLECOIN_WHITELIST[mint];
+  const stable =
+    stableCandidate &&
+    mintInfo.mintAuthorityAddress === stableCandidate.mintAuthority &&
+    mintInfo.freezeAuthorityAddress === stableCandidate.freezeAuthority
+      ? stableCandidate
+      : null;
+
+  // Token-2022 extensions (legacy mints have none)
+  const mintExtensions = {
+    program: mintInfo.tokenProgram,
+    programId: tokenProgramId,
+    ...mintParsed.extensions,
+    flags: buildExtensionFlags(mintParsed.extensions),
+  };
+  emit({ mintInfo, mintExtensions });
+
+  // Token metadata
+  const asset = await assetPromise;
+  let name = "Unknown Token";
+  let symbol = "";
+  let logoURI = null;
+
+  try {
+    if (asset?.content?.metadata) {
+      name = asset.content.metadata.name || name;
+      symbol = asset.content.metadata.symbol || "";
+    }
+    if (asset?.content?.links?.image) {
+      logoURI = asset.content.links.image;
+    }
+  } catch (e) {
+    console.error("metadata parse error:", e?.message);
+  }
+
+  const tokenMeta = { mint, name, symbol, logoURI };
+  emit({ tokenMeta });
+
+  const dexStats = await dexStatsPromise;
+
+  // LP lock lookup only needs the pool address, so start it right away
+  const lpLockPromise = dexStats.pairAddress
+    ? cached("lpLock", dexStats.pairAddress, () =>
+        detectLpLockSafe(dexStats.pairAddress)
+      )
+    : detectLpLockSafe(null);
+
+  const tokenMetrics = {
+    // a whitelisted stablecoin with no pool price is still worth $1
+    priceUsd: stable && !dexStats.priceUsd ? 1.0 : dexStats.priceUsd,
+    liquidityUsd: dexStats.liquidityUsd,
+    totalLiquidityUsd: dexStats.totalLiquidityUsd,
+    dexFeesUsd24h: dexStats.dexFeesUsd24h,
+  };
+  emit({ tokenMetrics, socials: dexStats.socials });
+
+  // Deployer lookup runs alongside the holder / cluster work below
+  const supplyUi = Number(mintParsed.supply || 0) / 10 ** mintParsed.decimals;
+  const deployerPromise = cached("deployer", mint, () =>
+    buildDeployerProfileSafe({ mint, asset, tokenProgramId, supplyUi })
+  );
+
+  // Launch forensics only make sense while the launch is recent
+  const sniperPair = dexStats.pairAddress;
+  const launchTooOld = dexStats.ageDays != null && dexStats.ageDays > SNIPER_MAX_AGE_DAYS;
+  const launchPromise =
+    sniperPair && !launchTooOld
+      ? cached("launch", sniperPair, () => detectLaunchBuyersSafe(sniperPair, mint))
+      : Promise.resolve(null);
+
+  // --- Holder distribution (LP + whales) --------------------------------
+  const largest = await largestPromise;
+  const largestAccounts = Array.isArray(largest?.value) ? largest.value : [];
+  const supplyBN = BigInt(mintParsed.supply || "0");
+
+  const allHolders = largestAccounts.map((acc) => {
+    const amountStr = acc.amount || "0";
+    const amountBN = BigInt(amountStr);
+
+    const pct =
+      supplyBN > 0n
+        ? Number((amountBN * 10_000n) / supplyBN) / 100 // keep two decimals
+        : 0;
+
+    const uiAmount =
+      typeof acc.uiAmount === "number"
+        ? acc.uiAmount
+        : Number(acc.uiAmount ?? 0);
+
+    return {
+      address: acc.address,
+      pct,
+      uiAmount,
+    };
+  });
+
+  // Token accounts matching a pool's reserve are that pool's vault
+  const poolVaults = new Map();
+  for (const pool of dexStats.pools) {
+    const vault = matchPoolHolder(allHolders, pool.poolMintReserve);
+    if (vault && !poolVaults.has(vault.address)) poolVaults.set(vault.address, pool);
+  }
+
+  // Label every top holder (exchange, pool vault, curve, lock, burn, wallet…)
+  const curve = await curvePromise;
+  const labelKey = [
+    ...allHolders.map((h) => h.address),
+    ...poolVaults.keys(),
+    curve?.curveAddress,
+  ].join(",");
+  const holderLabels = await cached(
+    "labels",
+    createHash("sha1").update(labelKey).digest("hex"),
+    () => classifyHolders(allHolders, { poolVaults, curveAddress: curve?.curveAddress })
+  ).catch(failSection("holderLabels"));
+  for (const h of allHolders) {
+    const tag = holderLabels?.[h.address];
+    h.owner = tag?.owner ?? null;
+    h.category = tag?.category ?? null;
+    h.label = tag?.label ?? null;
+  }
+
+  // Try to match LP to the DexScreener pool size
+  let lpHolder = matchPoolHolder(allHolders, dexStats.poolMintReserve);
+
+  // Fallback: biggest pool vault / curve, else biggest wallet = LP
+  if (!lpHolder && allHolders.length) {
+    lpHolder =
+      allHolders.find((h) => h.category === "amm-vault" || h.category === "bonding-curve") ||
+      allHolders.reduce((a, b) =>
+        (a.uiAmount || 0) >= (b.uiAmount || 0) ? a : b
+      );
+  }
+
+  // Sort by % of supply and take top 10
+  allHolders.sort((a, b) => (b.pct || 0) - (a.pct || 0));
+
+  const top10InclLP = allHolders.slice(0, 10);
+  // LP plus every holder that can't dump at will (vaults, burns, locks, CEX)
+  const nonLpHolders = allHolders.filter(
+    (h) => h.address !== lpHolder?.address && countsAsInsider(h.category)
+  );
+  const top10ExclLP = nonLpHolders.slice(0, 10);
+
+  const pctTop10InclLP = top10InclLP.reduce((sum, h) => sum + (h.pct || 0), 0);
+  const pctTop10ExclLP = top10ExclLP.reduce((sum, h) => sum + (h.pct || 0), 0);
+
+  // Holder count: prefer full RPC count, fall back to “at least this many”
+  const holderPass = await holderPassPromise;
+  let finalHoldersCount = holderPass?.holdersCount ?? null;
+  if (finalHoldersCount == null) {
+    finalHoldersCount = allHolders.length || null;
+  }
+
+  const holderSummary = {
+    top10Pct: pctTop10InclLP,
+    topHolders: top10InclLP,
+    top10PctExcludingLP: pctTop10ExclLP,
+    topHoldersExcludingLP: top10ExclLP,
+    lpHolder,
+    holdersCount: finalHoldersCount,
+  };
+
+  // --- Holder distribution (every owner, not just the top 20 accounts) --
+
+  let holderDistribution = null;
+  if (holderPass) {
+    const lpOwner = lpHolder
+      ? holderPass.topOwners.find((o) => o.tokenAccounts.includes(lpHolder.address))
+      : null;
+    const shares = summarizeOwnerShares(holderPass.topOwners, holderPass.totalUi);
+    holderDistribution = {
+      holdersCount: holderPass.holdersCount,
+      tokenAccountCount: holderPass.tokenAccountCount,
+      multiAccountOwners: holderPass.multiAccountOwners,
+      gini: holderPass.gini,
+      ...shares,
+      nakamoto: holderPass.nakamoto,
+      excludingLp: lpOwner
+        ? summarizeOwnerShares(holderPass.topOwners, holderPass.totalUi, lpOwner.owner)
+        : null,
+      lpOwner: lpOwner?.owner ?? null,
+      histogram: holderPass.histogram,
+      topOwners: holderPass.topOwners.slice(0, 20).map((o) => ({
+        owner: o.owner,
+        pct: o.pct,
+        tokenAccounts: o.tokenAccounts.length,
+      })),
+    };
+  }
+  emit({ holderSummary, holderDistribution });
+
+  // --- Insiders snapshot --------------------------------------------
+
+  const INSIDER_PCT = profile.insiders.insiderPct; // default: insider ≥1%
+  const WHALE_PCT = profile.insiders.whalePct;     // default: whale   ≥5%
+
+  const insidersAll = nonLpHolders.filter((h) => (h.pct || 0) >= INSIDER_PCT);
+  const whales = nonLpHolders.filter((h) => (h.pct || 0) >= WHALE_PCT);
+  const insidersTotalPct = insidersAll.reduce(
+    (sum, h) => sum + (h.pct || 0),
+    0
+  );
+  const largestInsider = insidersAll[0] || null;
+
+  let insiderRiskLevel = "low";
+  let insiderNote = "No strong insider concentration detected.";
+
+  if (insidersTotalPct > 60 || whales.length >= 3) {
+    insiderRiskLevel = "high";
+    insiderNote =
+      "Very high concentration among a few wallets. Classic rug-pull pattern if they dump.";
+  } else if (insidersTotalPct > 35 || whales.length >= 1) {
+    insiderRiskLevel = "medium";
+    insiderNote =
+      `Moderate concentration among insiders. Watch wallets holding ≥${INSIDER_PCT}% closely.`;
+  }
+
+  const insiderSummary = {
+    insidersAll,
+    whales,
+    insidersTotalPct,
+    largestInsider,
+    riskLevel: insiderRiskLevel,
+    note: insiderNote,
+    insiderWalletCount: insidersAll.length,
+  };
+  emit({ insiderSummary });
+
+  // Honeypot check: simulate a small sell by one of the top holders
+  const sellSimPromise = cached("sellSim", mint, () =>
+    simulateSellSafe({ mint, holders: nonLpHolders, dexStats })
+  );
+
+  // --- Funding clusters (shared SOL funder among top holders) --------
+
+  const clusterScan = await detectFundingClustersSafe(
+    holderSummary.topHoldersExcludingLP
+  );
+  const clusters = clusterScan?.clusters || [];
+  const largestCluster = clusters[0] || null;
+
+  let clusterRisk = insiderRiskLevel;
+  let clusterNote = insiderNote;
+  if (clusterScan) {
+    if (largestCluster) {
+      clusterRisk = largestCluster.riskLevel;
+      clusterNote =
+        `${clusters.length} funding cluster${clusters.length === 1 ? "" : "s"} found. ` +
+        `Largest: ${largestCluster.ownerAddresses.length} wallets funded by ` +
+        `${largestCluster.funderShort} hold ~${largestCluster.pctOfSupply.toFixed(1)}% of supply.`;
+    } else {
+      clusterRisk = "low";
+      clusterNote =
+        "No shared funding wallet found among sampled top holders.";
+    }
+  }
+
+  const insiderClusters = {
+    riskLevel: clusterRisk,
+    note: clusterNote,
+    clusters,
+    largestCluster,
+    sampledWallets: clusterScan?.sampledWallets ?? 0,
+    tracedWallets: clusterScan?.tracedWallets ?? 0,
+    sampleCluster: largestInsider
+      ? {
+          label: "Largest insider",
+          leader: largestInsider.address,
+          leaderShort: shortAddr(largestInsider.address),
+          pctOfSupply: largestInsider.pct,
+        }
+      : null,
+  };
+  emit({ insiderClusters });
+
+  // --- Dex metrics + age + liquidity truth --------------------------
+
+  const lpLock = await lpLockPromise;
+
+  // Every pool, with the vault holding its side of the token
+  const pools = dexStats.pools.map((pool) => {
+    const vault = allHolders.find((h) => poolVaults.get(h.address) === pool);
+    return {
+      ...pool,
+      primary: pool.pairAddress === dexStats.pairAddress,
+      lpHolder: vault ? { address: vault.address, pct: vault.pct } : null,
+    };
+  });
+  const liquidityBreakdown = {
+    poolCount: pools.length,
+    totalLiquidityUsd: dexStats.totalLiquidityUsd,
+    majorQuoteLiquidityUsd: dexStats.majorQuoteLiquidityUsd,
+    primaryPairAddress: dexStats.pairAddress,
+    pools,
+  };
+
+  // Launchpad lifecycle: still on the curve, or migrated (and where to)
+  const bondingCurve = curve
+    ? { ...curve, migratedTo: findMigrationPool(curve, pools) }
+    : null;
+  emit({ liquidityBreakdown, bondingCurve });
+
+  // Age of the token = when the mint was created on-chain. Falls back to
+  // the oldest pool (not the deepest one) when the history is unavailable.
+  const mintCreation = await mintCreationPromise;
+  const daysSince = (iso) => (Date.now() - Date.parse(iso)) / 86_400_000;
+  const poolAgeDays = dexStats.oldestPoolAgeDays;
+  const poolDates = dexStats.pools.map((p) => p.createdAt).filter(Boolean).sort();
+  const mintAgeDays = mintCreation ? daysSince(mintCreation.createdAt) : null;
+
+  let tokenAge = null;
+  if (mintAgeDays != null || poolAgeDays != null) {
+    // an inexact mint time is only a lower bound, so an older pool wins
+    const fromMint =
+      mintAgeDays != null &&
+      (mintCreation.exact || poolAgeDays == null || mintAgeDays >= poolAgeDays);
+    tokenAge = {
+      ageDays: Math.max(0, fromMint ? mintAgeDays : poolAgeDays),
+      source: fromMint ? "mintCreation" : "oldestPool",
+      mintCreatedAt: mintCreation?.createdAt ?? null,
+      mintCreatedAtExact: mintCreation?.exact ?? null,
+      mintCreationSignature: mintCreation?.exact ? mintCreation.signature : null,
+      firstPoolCreatedAt: poolDates[0] ?? null,
+      poolAgeDays,
+      primaryPoolAgeDays: dexStats.ageDays,
+    };
+  }
+  emit({ tokenAge });
+
+  const liqUsd = dexStats.liquidityUsd;
+  const vol24 = dexStats.volume24Usd;
+  const tx24 = dexStats.txCount24;
+
+  let tradeToLiquidity = null;
+  let avgTradeUsd = null;
+  let liqTruthLevel = null;
+  let liqTruthLabel = "Unknown";
+  let liqTruthNote =
+    "Not enough volume / trade data to judge liquidity quality.";
+
+  if (
+    liqUsd != null &&
+    liqUsd > 0 &&
+    vol24 != null &&
+    vol24 > 0 &&
+    tx24 != null &&
+    tx24 > 0
+  ) {
+    tradeToLiquidity = vol24 / liqUsd;
+    avgTradeUsd = vol24 / tx24;
+
+    const wash = profile.washTrading;
+    if (tradeToLiquidity > wash.fakeRatio && tx24 < wash.fakeMaxTx) {
+      liqTruthLevel = "high";
+      liqTruthLabel = "Likely fake / wash";
+      liqTruthNote =
+        "24h volume is huge vs liquidity but with very few trades – classic wash-trading pattern.";
+    } else if (
+      tradeToLiquidity > wash.suspiciousRatio &&
+      tx24 < wash.suspiciousMaxTx
+    ) {
+      liqTruthLevel = "medium";
+      liqTruthLabel = "Suspicious";
+      liqTruthNote =
+        "Volume is high relative to liquidity with only modest trade count.";
+    } else {
+      liqTruthLevel = "low";
+      liqTruthLabel = "Mostly real";
+      liqTruthNote =
+        "Volume and trade count look consistent with liquidity size.";
+    }
+  }
+
+  const liquidityTruth = {
+    level: liqTruthLevel,
+    label: liqTruthLabel,
+    note: liqTruthNote,
+    tradeToLiquidity,
+    avgTradeUsd,
+    volume24Usd: vol24,
+    txCount24: tx24,
+    lockPercent: lpLock?.lockPercent ?? null,
+    lpLock,
+  };
+  emit({ liquidityTruth });
+
+  const deployerProfile = await deployerPromise;
+  emit({ deployerProfile });
+
+  const sellSimulation = await sellSimPromise;
+  emit({ sellSimulation });
+
+  const launch = await launchPromise;
+  let sniperSummary = null;
+  if (launch) {
+    sniperSummary = await buildSniperSummarySafe(launch, {
+      mint,
+      tokenProgramId,
+      supplyUi,
+      thresholds: profile.snipers,
+    });
+    for (const s of sniperSummary?.snipers || []) {
+      s.isDeployer = s.wallet === deployerProfile?.address;
+    }
+  } else {
+    sniperSummary = {
+      analysed: false,
+      note: !sniperPair
+        ? "No pool found – nothing to analyse."
+        : launchTooOld
+        ? `Pool is older than ${SNIPER_MAX_AGE_DAYS} days – launch forensics skipped.`
+        : "Could not reach the pool's first transactions (history too long or RPC error).",
+    };
+  }
+  emit({ sniperSummary });
+
+  // --- Origin hint + Mayhem Mode ------------------------------------
+
+  const rawDesc = asset?.content?.metadata?.description || "";
+  const keywordOrigin = guessOriginFromKeywords({
+    mint,
+    name,
+    symbol,
+    desc: rawDesc,
+    dexId: dexStats.dexId,
+  });
+  const poolAddresses = pools.map((p) => p.pairAddress).filter(Boolean);
+  const creationSignature = mintCreation?.exact ? mintCreation.signature : null;
+  const evidenceKey = createHash("sha1")
+    .update([creationSignature, ...poolAddresses].join(","))
+    .digest("hex");
+  const originEvidence = await cached("origin", `${mint}:${evidenceKey}`, () =>
+    fetchOriginEvidenceSafe({ creationSignature, poolAddresses })
+  );
+  const originMeta = attributeOrigin({
+    evidence: originEvidence,
+    bondingCurve,
+    pools,
+    primaryPairAddress: dexStats.pairAddress,
+    keywordOrigin,
+  });
+
+  // Mayhem Mode: Mayhem origin + super fresh token (< 1 hour)
+  const MAYHEM_MODE_WINDOW_DAYS = 1 / 24; // 1 hour
+  let mayhemMode = { active: false, secondsRemaining: null };
+
+  const ageDaysForMayhem = tokenAge?.ageDays ?? null;
+  if (keywordOrigin.key === "mayhem" && ageDaysForMayhem != null) {
+    if (ageDaysForMayhem < MAYHEM_MODE_WINDOW_DAYS) {
+      const remainingDays = MAYHEM_MODE_WINDOW_DAYS - ageDaysForMayhem;
+      const secondsRemaining = Math.max(
+        0,
+        Math.round(remainingDays * 24 * 60 * 60)
+      );
+      mayhemMode = { active: true, secondsRemaining };
+    }
+  }
+
+  const originHint = {
+    label: originMeta.label,
+    detail: originMeta.detail,
+    key: originMeta.key,
+    confidence: originMeta.confidence,
+    evidence: originMeta.evidence,
+    amm: originMeta.amm,
+    keywordGuess: originMeta.keywordGuess,
+  };
+
+  // --- GlassBox risk score ------------------------------------------
+
+  const liquidityTruthSafe =
+    liquidityTruth ?? { level: "medium", lockPercent: null };
+
+  // Every move on an axis is recorded as a reason with a stable `code`
+  // (for the "Why this score" panel and bot filters). Axes start at 50;
+  // `axisPoints` is the move on the 0–100 axis, `points` its weighted
+  // effect on the final score.
+  // Weights and thresholds come from the scoring profile; codes that name
+  // a threshold (TOP10_EXCL_LP_GT_40, AGE_LT_6H) are built from it.
+  const AXIS_WEIGHTS = profile.weights;
+  const axes = { mint: 50, holders: 50, liquidity: 50, age: 50 };
+  const reasons = [];
+
+  const addReason = (code, severity, axis, axisPoints, message) => {
+    reasons.push({
+      code,
+      severity,
+      axis,
+      axisPoints,
+      points: Math.round(axisPoints * (AXIS_WEIGHTS[axis] ?? 1) * 10) / 10,
+      message,
+    });
+  };
+  // Set an axis (clamped to 0–100) and record how far it actually moved
+  const setAxis = (axis, value, code, severity, message) => {
+    const next = Math.max(0, Math.min(100, value));
+    addReason(code, severity, axis, next - axes[axis], message);
+    axes[axis] = next;
+  };
+  const moveAxis = (axis, delta, code, severity, message) =>
+    setAxis(axis, axes[axis] + delta, code, severity, message);
+
+  // 1) Mint safety (0–100)
+  // Authorities held by a trusted issuer (Circle, Tether) don't count as
+  // rug levers; multisigs/PDAs are softer, fresh wallets harsher.
+  const mintAuth = mintInfo.authorities.mint;
+  const freezeAuth = mintInfo.authorities.freeze;
+  const mintActive = mintInfo.mintAuthority && !mintAuth?.trusted;
+  const freezeActive = mintInfo.freezeAuthority && !freezeAuth?.trusted;
+
+  if (!mintActive) {
+    if (mintAuth?.trusted) {
+      setAxis("mint", 90, "MINT_AUTHORITY_TRUSTED", "good",
+        `Mint authority is held by ${mintAuth.label}, a known issuer.`);
+    } else {
+      setAxis("mint", 95, "MINT_AUTHORITY_REVOKED", "good",
+        "Mint authority is revoked – supply is fixed.");
+    }
+
+    if (freezeActive) {
+      setAxis("mint", 75, "FREEZE_AUTHORITY_ACTIVE", "warn",
+        "Freeze authority is still active – holder accounts can be frozen.");
+    } else if (freezeAuth?.trusted) {
+      setAxis("mint", 90, "FREEZE_AUTHORITY_TRUSTED", "good",
+        `Freeze authority is held by ${freezeAuth.label}, a known issuer.`);
+    } else {
+      addReason("FREEZE_AUTHORITY_REVOKED", "good", "mint", 0,
+        "Freeze authority is revoked.");
+    }
+  } else {
+    setAxis("mint", 35, "MINT_AUTHORITY_ACTIVE", "bad",
+      "Mint authority is still active – more supply can be minted.");
+    if (freezeActive) {
+      addReason("FREEZE_AUTHORITY_ACTIVE", "bad", "mint", 0,
+        "Freeze authority is also active – holder accounts can be frozen.");
+    }
+  }
+
+  for (const [role, auth] of [
+    ["Mint", mintActive ? mintAuth : null],
+    ["Freeze", freezeActive ? freezeAuth : null],
+  ]) {
+    if (!auth) continue;
+    if (auth.kind === "multisig" || auth.kind === "pda") {
+      moveAxis("mint", 10, `AUTHORITY_${auth.kind.toUpperCase()}`, "info",
+        `${role} authority is a ${auth.kind === "pda" ? "program-derived address" : auth.label || "multisig"}, not a single wallet.`);
+    } else if (auth.fresh) {
+      moveAxis("mint", -10, "AUTHORITY_FRESH_WALLET", "bad",
+        `${role} authority is a fresh wallet (${auth.walletAgeDays ?? "<1"}d old).`);
+    }
+  }
+
+  // Token-2022 extensions can make a "renounced" mint just as dangerous
+  for (const flag of mintExtensions.flags) {
+    if (!flag.penalty) continue;
+    const code = flag.key.replace(/([A-Z])/g, "_$1").toUpperCase();
+    moveAxis("mint", -flag.penalty, `TOKEN2022_${code}`,
+      flag.level === "bad" ? "bad" : "warn", `${flag.label}: ${flag.detail}`);
+  }
+
+  // 2) Holder / insider safety (0–100)
+  const top10PctExclLP = holderSummary.top10PctExcludingLP ?? 0;
+  const insidersPct = insiderSummary.insidersTotalPct ?? 0;
+  const top10Text = `Top 10 wallets (excl. LP) hold ${top10PctExclLP.toFixed(1)}%`;
+  const insidersText = `Insiders hold ${insidersPct.toFixed(1)}%`;
+
+  const ht = profile.holders;
+
+  if (top10PctExclLP <= ht.top10ExclLpGood && insidersPct <= ht.insidersGood) {
+    setAxis("holders", 90, "HOLDERS_DISTRIBUTED", "good",
+      `${top10Text} and ${insidersText.toLowerCase()} – well spread.`);
+  } else {
+    // the first breach moves the axis, any second one is listed at 0 points
+    const ok = top10PctExclLP <= ht.top10ExclLpOk && insidersPct <= ht.insidersOk;
+    const top10Limit = ok ? ht.top10ExclLpGood : ht.top10ExclLpOk;
+    const insidersLimit = ok ? ht.insidersGood : ht.insidersOk;
+    const breaches = [
+      top10PctExclLP > top10Limit && [
+        `TOP10_EXCL_LP_GT_${top10Limit}`,
+        `${top10Text} (> ${top10Limit}%).`,
+      ],
+      insidersPct > insidersLimit && [
+        `INSIDERS_GT_${insidersLimit}`,
+        `${insidersText} (> ${insidersLimit}%).`,
+      ],
+    ];
+    breaches.filter(Boolean).forEach(([code, message], i) => {
+      const severity = ok ? "warn" : "bad";
+      if (i === 0) setAxis("holders", ok ? 65 : 35, code, severity, message);
+      else addReason(code, severity, "holders", 0, message);
+    });
+  }
+
+  // Snipers still sitting on their launch bags can dump on everyone
+  if (sniperSummary?.analysed) {
+    const { holdPctWarn, holdPctBad } = profile.snipers;
+    const held = sniperSummary.stillHoldPct;
+    const sniperText =
+      `${sniperSummary.sniperCount} launch snipers still hold ${held.toFixed(1)}%`;
+    if (held > holdPctBad) {
+      moveAxis("holders", -20, `SNIPERS_HOLD_GT_${holdPctBad}`, "bad",
+        `${sniperText} (> ${holdPctBad}%).`);
+    } else if (held > holdPctWarn) {
+      moveAxis("holders", -10, `SNIPERS_HOLD_GT_${holdPctWarn}`, "warn",
+        `${sniperText} (> ${holdPctWarn}%).`);
+    }
+  }
+
+  // 3) Liquidity safety (0–100)
+  if (liquidityTruthSafe.level === "low") {
+    setAxis("liquidity", 90, "LIQUIDITY_REAL", "good",
+      "Volume and trade count look consistent with liquidity size.");
+  } else if (liquidityTruthSafe.level === "medium") {
+    setAxis("liquidity", 60, "VOLUME_SUSPICIOUS", "warn",
+      "Volume is high relative to liquidity with only modest trade count.");
+  } else if (liquidityTruthSafe.level === "high") {
+    setAxis("liquidity", 35, "WASH_TRADING_SUSPECTED", "bad",
+      "24h volume is huge vs liquidity with very few trades – likely wash trading.");
+  } else if (bondingCurve && !bondingCurve.graduated) {
+    // No LP exists to pull yet – sells go straight into the curve
+    setAxis("liquidity", 55, "BONDING_CURVE_ACTIVE", "info",
+      `Still on the bonding curve (${bondingCurve.progressPct.toFixed(0)}% to migration, ` +
+      `${bondingCurve.solRaised.toFixed(1)} SOL raised) – no LP to pull yet.`);
+  } else {
+    addReason("LIQUIDITY_UNKNOWN", "info", "liquidity", 0,
+      "Not enough volume / trade data to judge liquidity quality.");
+  }
+
+  // Liquidity against a token nobody can price is only paper liquidity
+  const totalLiq = liquidityBreakdown.totalLiquidityUsd;
+  const majorLiq = liquidityBreakdown.majorQuoteLiquidityUsd;
+  if (totalLiq > 0 && majorLiq != null && majorLiq < totalLiq / 2) {
+    const majorShare = (majorLiq / totalLiq) * 100;
+    moveAxis("liquidity", -15, "LIQUIDITY_EXOTIC_QUOTE", "warn",
+      `Only ${majorShare.toFixed(0)}% of liquidity is paired against SOL / USDC / USDT.`);
+  }
+
+  // A failed test sell outweighs everything else on this axis
+  if (sellSimulation?.sellable === false) {
+    setAxis("liquidity", 0, "SELL_SIMULATION_FAILED", "bad", sellSimulation.note);
+  } else if (sellSimulation?.sellable && sellSimulation.taxPct != null) {
+    const { warnPct, badPct } = profile.sellTax;
+    const taxText = `Test sell received ${sellSimulation.taxPct.toFixed(1)}% less than quoted`;
+    if (sellSimulation.taxPct > badPct) {
+      moveAxis("liquidity", -25, `SELL_TAX_GT_${badPct}`, "bad", `${taxText} (> ${badPct}%).`);
+    } else if (sellSimulation.taxPct > warnPct) {
+      moveAxis("liquidity", -10, `SELL_TAX_GT_${warnPct}`, "warn", `${taxText} (> ${warnPct}%).`);
+    } else {
+      addReason("SELL_SIMULATION_OK", "good", "liquidity", 0, sellSimulation.note);
+    }
+  }
+
+  const liqLockPct = liquidityTruthSafe.lockPercent ?? null;
+  if (liqLockPct != null) {
+    const lockText = `${liqLockPct.toFixed(0)}% of LP is burned or locked`;
+    const { weakPct, partialPct } = profile.lpLock;
+    if (liqLockPct < weakPct) {
+      moveAxis("liquidity", -15, `LP_LOCK_LT_${weakPct}`, "bad", `Only ${lockText}.`);
+    } else if (liqLockPct < partialPct) {
+      moveAxis("liquidity", -5, `LP_LOCK_LT_${partialPct}`, "warn", `Only ${lockText}.`);
+    } else {
+      addReason("LP_LOCKED", "good", "liquidity", 0, `${lockText}.`);
+    }
+  }
+
+  // 4) Age / degen safety (0–100)
+  const ageDays = tokenAge?.ageDays ?? null;
+  const ageHours = ageDays != null ? ageDays * 24 : null;
+  const { veryNew, new: newHours, young } = profile.ageHours;
+  const ageText = (h) => hoursCode(h).toLowerCase();
+  if (ageHours == null) {
+    addReason("AGE_UNKNOWN", "info", "age", 0, "Token age is unknown.");
+  } else if (ageHours < veryNew) {
+    setAxis("age", 30, `AGE_LT_${hoursCode(veryNew)}`, "bad",
+      `Token is less than ${ageText(veryNew)} old.`);
+  } else if (ageHours < newHours) {
+    setAxis("age", 50, `AGE_LT_${hoursCode(newHours)}`, "warn",
+      `Token is less than ${ageText(newHours)} old.`);
+  } else if (ageHours < young) {
+    setAxis("age", 70, `AGE_LT_${hoursCode(young)}`, "info",
+      `Token is ${ageText(newHours)}–${ageText(young)} old.`);
+  } else {
+    setAxis("age", 85, `AGE_GT_${hoursCode(young)}`, "good",
+      `Token is more than ${ageText(young)} old.`);
+  }
+
+  // Bump down risk further if Mayhem Mode is active (super degen)
+  if (mayhemMode.active) {
+    // treat as ultra new, don't over-trust liq yet
+    if (axes.age > 30) {
+      setAxis("age", 30, "MAYHEM_MODE_AGE_CAP", "bad",
+        "Mayhem Mode is active – age score capped at 30.");
+    }
+    if (axes.liquidity > 60) {
+      setAxis("liquidity", 60, "MAYHEM_MODE_LIQ_CAP", "warn",
+        "Mayhem Mode is active – liquidity score capped at 60.");
+    }
+  }
+
+  const mintScore = axes.mint;
+  const holderScore = axes.holders;
+  const liqScore = axes.liquidity;
+  const ageScore = axes.age;
+
+  let score = Math.round(
+    mintScore * AXIS_WEIGHTS.mint +
+      holderScore * AXIS_WEIGHTS.holders +
+      liqScore * AXIS_WEIGHTS.liquidity +
+      ageScore * AXIS_WEIGHTS.age
+  );
+
+  // Can't sell = honeypot, whatever the other axes say
+  const honeypotCap = profile.levels.highMaxScore;
+  if (sellSimulation?.sellable === false && score > honeypotCap) {
+    addReason("HONEYPOT_SCORE_CAP", "bad", "overall", honeypotCap - score,
+      `Score capped at ${honeypotCap} because the test sell failed.`);
+    score = honeypotCap;
+  }
+
+  let scoreLevel = "medium";
+  if (score >= profile.levels.lowMinScore) scoreLevel = "low";
+  else if (score <= profile.levels.highMaxScore) scoreLevel = "high";
+
+  let scoreBlurb = "";
+  if (scoreLevel === "low") {
+    scoreBlurb =
+      "Mint, holders, liquidity and age all look relatively healthy. Always DYOR, but this is on the safer side for degen plays.";
+  } else if (scoreLevel === "medium") {
+    scoreBlurb =
+      "Mixed signals across mint, holders, liquidity or age. Treat this as a degen play and size accordingly.";
+  } else {
+    scoreBlurb =
+      "One or more serious red flags across mint, holders, liquidity or age. Extreme rug risk.";
+  }
+
+  const riskSummary = {
+    level: scoreLevel,
+    blurb: scoreBlurb,
+    score,
+    axes: {
+      mintScore,
+      holderScore,
+      liqScore,
+      ageScore,
+    },
+    reasons,
+    profile,
+  };
+
+  // --- Stablecoin override ------------------------------------------
+
+  // (`stable` is checked right after the mint account, for the $1 price)
+  if (stable) {
+    originHint.label = `${stable.symbol} – centralized stablecoin`;
+    originHint.detail =
+      `${stable.symbol} on Solana from a known issuer. ` +
+      "High holder concentration + active freeze authority are normal here.";
+
+    addReason("STABLECOIN_OVERRIDE", "good", "overall", 95 - riskSummary.score,
+      `Whitelisted ${stable.symbol} with the issuer's own authorities – score set to 95.`);
+    riskSummary.level = "low";
+    riskSummary.score = 95;
+    riskSummary.blurb =
+      "Whitelisted centralized stablecoin. Rug-style mint tricks are not the main risk.";
+  }
+
+  // --- Final JSON ----------------------------------------------------
+
+  const result = {
+    tokenMeta,
+    mintInfo,
+    mintExtensions,
+    holderSummary,
+    holderDistribution,
+    insiderSummary,
+    insiderClusters,
+    deployerProfile,
+    sniperSummary,
+    sellSimulation,
+    originHint,
+    mayhemMode,
+    riskSummary,
+    tokenMetrics,
+    tokenAge,
+    liquidityBreakdown,
+    bondingCurve,
+    liquidityTruth,
+    socials: dexStats.socials,
+    freshness: buildFreshness(loadedAt),
+    errors: sectionErrors,
+  };
+
+  // Blocks that depend on everything above go out last
+  for (const [name, data] of Object.entries(result)) {
+    if (name !== "errors" && !sent.has(name)) emit({ [name]: data });
+  }
+  return result;
+}
@@ -0,0 +1,131 @@
+// lib/store.js
+// Durable key/value + list storage for things we keep (scan history, …),
+// as opposed to lib/cache.js which only holds short-lived copies.
+// - GLASSBOX_STORE=kv → Upstash / Vercel KV (KV_REST_API_URL + KV_REST_API_TOKEN)
+// - default: in-memory, per instance – fine for local dev, lost on cold start
+//
+// Values are JSON. Lists are newest-first. set() takes an optional TTL for
+// records that should age out on their own (delivery receipts, …);
+// setIfAbsent() is true only for the one caller that wrote the key.
+// Sets hold strings (ids) and change in one step, so indexes several
+// instances add to at once never lose an entry to a read-modify-write.
+
+import { kvClientFromEnv } from "./kv.js";
+
+export function createMemoryDataStore() {
+  const values = new Map();
+  const lists = new Map();
+  const sets = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      const hit = values.get(key);
+      if (!hit) return null;
+      if (hit.expiresAt && hit.expiresAt <= Date.now()) {
+        values.delete(key);
+        return null;
+      }
+      return structuredClone(hit.value);
+    },
+    async set(key, value, ttlMs) {
+      values.set(key, {
+        value: structuredClone(value),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      // check and write without an await between them
+      const hit = values.get(key);
+      if (hit && !(hit.expiresAt && hit.expiresAt <= Date.now())) return false;
+      values.set(key, {
+        value: structuredClone(value),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+      return true;
+    },
+    async del(key) {
+      values.delete(key);
+      lists.delete(key);
+      sets.delete(key);
+    },
+    async listPush(key, value, maxLen) {
+      const list = lists.get(key) || [];
+      list.unshift(structuredClone(value));
+      if (maxLen && list.length > maxLen) list.length = maxLen;
+      lists.set(key, list);
+    },
+    async listRange(key, start, stop) {
+      const list = lists.get(key) || [];
+      return structuredClone(list.slice(start, stop + 1));
+    },
+    async setAdd(key, member) {
+      const set = sets.get(key) || new Set();
+      set.add(String(member));
+      sets.set(key, set);
+    },
+    async setRemove(key, member) {
+      sets.get(key)?.delete(String(member));
+    },
+    async setMembers(key) {
+      return [...(sets.get(key) || [])];
+    },
+  };
+}
+
+export function createKvDataStore(kv = kvClientFromEnv()) {
+  return {
+    name: "kv",
+    async get(key) {
+      const raw = await kv.command(["GET", key]);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value, ttlMs) {
+      const args = ["SET", key, JSON.stringify(value)];
+      if (ttlMs) args.push("PX", ttlMs);
+      await kv.command(args);
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const args = ["SET", key, JSON.stringify(value), "NX"];
+      if (ttlMs) args.push("PX", ttlMs);
+      return (await kv.command(args)) === "OK";
+    },
+    async del(key) {
+      await kv.command(["DEL", key]);
+    },
+    async listPush(key, value, maxLen) {
+      await kv.command(["LPUSH", key, JSON.stringify(value)]);
+      if (maxLen) await kv.command(["LTRIM", key, 0, maxLen - 1]);
+    },
+    async listRange(key, start, stop) {
+      const raw = await kv.command(["LRANGE", key, start, stop]);
+      return Array.isArray(raw) ? raw.map((r) => JSON.parse(r)) : [];
+    },
+    async setAdd(key, member) {
+      await kv.command(["SADD", key, member]);
+    },
+    async setRemove(key, member) {
+      await kv.command(["SREM", key, member]);
+    },
+    async setMembers(key) {
+      const raw = await kv.command(["SMEMBERS", key]);
+      return Array.isArray(raw) ? raw : [];
+    },
+  };
+}
+
+let store = null;
+
+export function getDataStore() {
+  if (!store) {
+    store =
+      process.env.GLASSBOX_STORE === "kv"
+        ? createKvDataStore()
+        : createMemoryDataStore();
+  }
+  return store;
+}
+
+export function setDataStore(next) {
+  store = next;
+}
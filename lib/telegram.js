@@ -0,0 +1,228 @@
+// lib/telegram.js
+// Telegram bot for /api/telegram: update parsing, the GlassBox card and the
+// command flow. Nothing here talks to Telegram or the chain by itself –
+// handleTelegramUpdate() gets scan / watch / reply functions passed in, so
+// the whole flow runs against plain objects.
+// - /scan <mint>     → card built from the /api/check JSON
+// - /watch <mint>    → adds the mint to the chat's watchlist (lib/watchlist.js)
+// - /unwatch <mint>, /help
+// - a mint pasted into any message is scanned too (silent when it isn't one)
+// - TELEGRAM_BOT_TOKEN, TELEGRAM_API_URL (default https://api.telegram.org)
+
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MINT_IN_TEXT_RE = /(?:^|[^1-9A-HJ-NP-Za-km-z])([1-9A-HJ-NP-Za-km-z]{32,44})(?![1-9A-HJ-NP-Za-km-z])/;
+const COMMANDS = new Set(["scan", "watch", "unwatch", "help", "start"]);
+
+const RISK_LABELS = {
+  low: "🟢 Low rug risk",
+  medium: "🟡 Medium risk",
+  high: "🔴 High rug risk",
+};
+const BAR_CELLS = { low: "🟩", medium: "🟨", high: "🟥" };
+
+export function telegramMethodUrl(method) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) throw new Error("TELEGRAM_BOT_TOKEN missing in env");
+  const base = (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/$/, "");
+  return `${base}/bot${token}/${method}`;
+}
+
+// Bot API call → `result`; throws on HTTP / API errors
+export async function callTelegram(method, body) {
+  const res = await fetch(telegramMethodUrl(method), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json?.ok) {
+    throw new Error(`Telegram ${method} failed: ${json?.description || res.status}`);
+  }
+  return json.result;
+}
+
+// --- Update parsing -----------------------------------------------------
+
+// Telegram update → { chatId, chatType, messageId, command, mint, inline }
+// or null when there is nothing for the bot to do.
+// `botUsername` drops commands meant for another bot (/scan@OtherBot).
+export function parseUpdate(update, { botUsername } = {}) {
+  const message = update?.message || update?.channel_post;
+  const text = message?.text || message?.caption;
+  if (!message?.chat || typeof text !== "string") return null;
+
+  const base = {
+    chatId: message.chat.id,
+    chatType: message.chat.type,
+    messageId: message.message_id,
+  };
+
+  const command = text.match(/^\/([a-z]+)(?:@(\w+))?(?:\s+(\S+))?/i);
+  if (command) {
+    const [, name, target, arg] = command;
+    if (target && botUsername && target.toLowerCase() !== botUsername.toLowerCase()) {
+      return null;
+    }
+    const key = name.toLowerCase();
+    if (!COMMANDS.has(key)) return null;
+    return {
+      ...base,
+      command: key === "start" ? "help" : key,
+      mint: arg && MINT_RE.test(arg) ? arg : null,
+      arg: arg || null,
+      inline: false,
+    };
+  }
+
+  const found = text.match(MINT_IN_TEXT_RE);
+  if (!found) return null;
+  return { ...base, command: "scan", mint: found[1], arg: found[1], inline: true };
+}
+
+// --- Card ---------------------------------------------------------------
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function formatUsd(v) {
+  if (v == null || Number.isNaN(Number(v))) return "—";
+  const n = Number(v);
+  if (n >= 1e9) return `$${(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `$${(n / 1e3).toFixed(1)}K`;
+  if (n >= 1) return `$${n.toFixed(2)}`;
+  return `$${n.toPrecision(3)}`;
+}
+
+const formatPct = (v) => (v == null || Number.isNaN(Number(v)) ? "—" : `${Number(v).toFixed(1)}%`);
+
+// 0–100 → ten coloured cells, filled up to the score
+export function scoreBar(score, level) {
+  if (typeof score !== "number") return "";
+  const filled = Math.max(0, Math.min(10, Math.round(score / 10)));
+  return (BAR_CELLS[level] || "⬛").repeat(filled) + "⬜".repeat(10 - filled);
+}
+
+function authorityLine(label, active, auth, activeText) {
+  if (!active) return `✅ ${label}: none`;
+  const who = auth?.label || auth?.kind;
+  return `⚠️ ${label}: ${activeText}${who ? ` (${escapeHtml(who)})` : ""}`;
+}
+
+// Scan JSON (lib/scan.js) → sendMessage fields: HTML text + link buttons
+export function formatScanCard(scan, { publicUrl } = {}) {
+  const meta = scan.tokenMeta || {};
+  const mint = meta.mint;
+  const risk = scan.riskSummary || {};
+  const mintInfo = scan.mintInfo || {};
+  const liq = scan.liquidityTruth || {};
+  const origin = scan.originHint || {};
+  const title = meta.symbol
+    ? `${escapeHtml(meta.symbol)} · ${escapeHtml(meta.name)}`
+    : escapeHtml(meta.name || "Unknown Token");
+
+  const lines = [
+    `<b>GlassBox · ${title}</b>`,
+    `<code>${escapeHtml(mint)}</code>`,
+    "",
+    `${RISK_LABELS[risk.level] || "⚪ Unknown risk"}${
+      typeof risk.score === "number" ? ` · <b>${risk.score}/100</b>` : ""
+    }`,
+  ];
+  const bar = scoreBar(risk.score, risk.level);
+  if (bar) lines.push(bar);
+
+  lines.push(
+    "",
+    authorityLine("Mint authority", mintInfo.mintAuthority, mintInfo.authorities?.mint, "can still mint"),
+    authorityLine("Freeze authority", mintInfo.freezeAuthority, mintInfo.authorities?.freeze, "can freeze"),
+    `👥 Top 10 (excl. LP): ${formatPct(scan.holderSummary?.top10PctExcludingLP)}` +
+      ` · insiders ${formatPct(scan.insiderSummary?.insidersTotalPct)}`,
+    `💧 Liquidity: ${formatUsd(scan.tokenMetrics?.liquidityUsd)} · ${escapeHtml(liq.label || "Unknown")}` +
+      (typeof liq.lockPercent === "number" ? ` · ${liq.lockPercent.toFixed(0)}% locked` : "")
+  );
+  if (scan.sellSimulation?.sellable === false) {
+    lines.push("⛔ Test sell failed – possible honeypot");
+  }
+  if (origin.label) {
+    lines.push(
+      `🧭 Origin: ${escapeHtml(origin.label)}` +
+        (origin.confidence && origin.confidence !== "none" ? ` (${origin.confidence} confidence)` : "")
+    );
+  }
+
+  const buttons = [
+    { text: "DexScreener", url: `https://dexscreener.com/solana/${mint}` },
+    { text: "Jupiter", url: `https://jup.ag/swap/SOL-${mint}` },
+  ];
+  if (publicUrl) {
+    buttons.push({ text: "Full scan", url: `${publicUrl.replace(/\/$/, "")}/?mint=${mint}` });
+  }
+
+  return {
+    text: lines.join("\n"),
+    parse_mode: "HTML",
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: [buttons] },
+  };
+}
+
+export const HELP_TEXT = [
+  "GlassBox – Solana scam checker",
+  "",
+  "/scan <mint> – risk card for a token",
+  "/watch <mint> – re-scan every 5 min and post alerts here",
+  "/unwatch <mint> – stop watching",
+  "",
+  "Paste a mint address in any message and I'll scan it.",
+].join("\n");
+
+// --- Command flow -------------------------------------------------------
+
+// Run one update. `deps`:
+//   scan(mint)            → scan JSON; throws with `.status` 404 for non-mints
+//   watch(chatId, mint)   / unwatch(chatId, mint)
+//   reply(chatId, fields) → sends a message (fields as in sendMessage)
+//   botUsername, publicUrl
+// → what was replied (null when the update was ignored)
+export async function handleTelegramUpdate(update, deps) {
+  const parsed = parseUpdate(update, { botUsername: deps.botUsername });
+  if (!parsed) return null;
+  const { chatId, messageId, command, mint, inline } = parsed;
+  const respond = async (fields) => {
+    const message = { reply_to_message_id: messageId, ...fields };
+    await deps.reply(chatId, message);
+    return message;
+  };
+
+  if (command === "help") return respond({ text: HELP_TEXT });
+  if (!mint) {
+    return respond({ text: `Usage: /${command} <mint address>` });
+  }
+
+  if (command === "watch") {
+    await deps.watch(chatId, mint);
+    return respond({
+      text: `👁 Watching ${mint}.\nRe-scanned every 5 minutes – alerts will be posted in this chat.`,
+    });
+  }
+  if (command === "unwatch") {
+    await deps.unwatch(chatId, mint);
+    return respond({ text: `Stopped watching ${mint}.` });
+  }
+
+  try {
+    const scan = await deps.scan(mint);
+    return respond(formatScanCard(scan, { publicUrl: deps.publicUrl }));
+  } catch (e) {
+    // a wallet or tx id pasted in chat isn't worth an error message
+    if (inline) return null;
+    return respond({
+      text: e.status === 404 ? "That address is not an SPL token mint." : "Scan failed, try again in a minute.",
+    });
+  }
+}
@@ -0,0 +1,248 @@
+// lib/wallet.js
+// Wallet scanner for /api/wallet: every SPL / Token-2022 balance a wallet
+// holds, graded with the normal per-mint scan (lib/batch.js).
+// - positions are valued from one DexScreener multi-token call, then the
+//   MAX_WALLET_SCANS most valuable ones are scanned; the rest are listed
+//   with `scanned: false`
+// - flags pick out what can hurt a holder directly: active freeze / mint
+//   authority, permanent delegate and other risky Token-2022 extensions,
+//   a failed test sell, a frozen account
+// - approvals lists token accounts with an open delegate (SPL `Approve`),
+//   worst first, each with the `Revoke` instruction the owner can sign
+
+import { fetchDexPairsSafe, scanMints } from "./batch.js";
+import { lookupAddressLabel } from "./labels.js";
+import { callRpc, summarizeDexPairs } from "./scan.js";
+
+export const MAX_WALLET_SCANS = 50;
+
+const TOKEN_PROGRAMS = {
+  TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA: "spl-token",
+  TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb: "token-2022",
+};
+const REVOKE_DATA = Buffer.from([5]).toString("base64"); // TokenInstruction::Revoke
+
+const FLAG_ORDER = { bad: 0, warn: 1, good: 2 };
+
+// --- Token accounts -----------------------------------------------------
+
+// jsonParsed token accounts of `owner` under both token programs
+async function fetchTokenAccounts(owner) {
+  const lists = await Promise.all(
+    Object.entries(TOKEN_PROGRAMS).map(async ([programId, program]) => {
+      const result = await callRpc("getTokenAccountsByOwner", [
+        owner,
+        { programId },
+        { encoding: "jsonParsed", commitment: "confirmed" },
+      ]);
+      return (result?.value || []).map((acc) => ({ acc, program, programId }));
+    })
+  );
+
+  const accounts = [];
+  for (const { acc, program, programId } of lists.flat()) {
+    const info = acc?.account?.data?.parsed?.info;
+    if (!info?.mint) continue;
+    accounts.push({
+      address: acc.pubkey,
+      mint: info.mint,
+      program,
+      programId,
+      amount: Number(info.tokenAmount?.uiAmountString ?? info.tokenAmount?.uiAmount ?? 0),
+      decimals: info.tokenAmount?.decimals ?? 0,
+      frozen: info.state === "frozen",
+      delegate: info.delegate || null,
+      delegatedAmount: info.delegate
+        ? Number(info.delegatedAmount?.uiAmountString ?? info.delegatedAmount?.uiAmount ?? 0)
+        : 0,
+    });
+  }
+  return accounts;
+}
+
+// Accounts → one position per mint (a wallet can hold a mint in several accounts)
+function groupPositions(accounts) {
+  const byMint = new Map();
+  for (const acc of accounts) {
+    const pos = byMint.get(acc.mint) || {
+      mint: acc.mint,
+      program: acc.program,
+      amount: 0,
+      decimals: acc.decimals,
+      accounts: [],
+      frozen: false,
+    };
+    pos.amount += acc.amount;
+    pos.accounts.push(acc.address);
+    pos.frozen ||= acc.frozen && acc.amount > 0;
+    byMint.set(acc.mint, pos);
+  }
+  return [...byMint.values()].filter((p) => p.amount > 0);
+}
+
+// --- Grading ------------------------------------------------------------
+
+// Scan JSON (+ the holder's position) → [{ key, label, level, detail }], worst first
+export function positionFlags(scan, position = {}) {
+  const flags = [];
+  const mintInfo = scan?.mintInfo || {};
+  const authorities = mintInfo.authorities || {};
+
+  if (position.frozen) {
+    flags.push({
+      key: "accountFrozen",
+      label: "Your account is frozen",
+      level: "bad",
+      detail: "The freeze authority has frozen this token account – it can't be sold or moved.",
+    });
+  }
+  if (mintInfo.freezeAuthority && !authorities.freeze?.trusted) {
+    flags.push({
+      key: "freezeAuthority",
+      label: "Freeze authority active",
+      level: "bad",
+      detail: "The issuer can freeze your balance at any time.",
+    });
+  }
+  if (mintInfo.mintAuthority && !authorities.mint?.trusted) {
+    flags.push({
+      key: "mintAuthority",
+      label: "Mint authority active",
+      level: "warn",
+      detail: "More supply can be minted, diluting your position.",
+    });
+  }
+  for (const f of scan?.mintExtensions?.flags || []) {
+    if (f.level !== "bad") continue;
+    flags.push({ key: f.key, label: f.label, level: f.level, detail: f.detail });
+  }
+  if (scan?.sellSimulation?.sellable === false) {
+    flags.push({
+      key: "sellFailed",
+      label: "Test sell failed",
+      level: "bad",
+      detail: "A simulated sell of a top holder's bag failed – possible honeypot.",
+    });
+  }
+
+  return flags.sort((a, b) => FLAG_ORDER[a.level] - FLAG_ORDER[b.level]);
+}
+
+// Open delegate approvals, worst first; zero-amount approvals can't move anything
+function buildApprovals(accounts, owner, positionsByMint) {
+  return accounts
+    .filter((acc) => acc.delegate && acc.delegatedAmount > 0)
+    .map((acc) => {
+      const known = lookupAddressLabel(acc.delegate);
+      const pos = positionsByMint.get(acc.mint);
+      const canMoveAll = acc.delegatedAmount >= acc.amount && acc.amount > 0;
+      return {
+        account: acc.address,
+        mint: acc.mint,
+        symbol: pos?.symbol ?? null,
+        delegate: acc.delegate,
+        delegateLabel: known?.label ?? null,
+        delegatedAmount: acc.delegatedAmount,
+        balance: acc.amount,
+        valueAtRiskUsd:
+          pos?.priceUsd != null ? Math.min(acc.delegatedAmount, acc.amount) * pos.priceUsd : null,
+        // an empty account only exposes future deposits
+        level: !known && acc.amount > 0 ? "bad" : "warn",
+        reason: known
+          ? `${known.label} can move up to ${acc.delegatedAmount} tokens.`
+          : canMoveAll
+          ? "Unknown address can move your whole balance."
+          : `Unknown address can move up to ${acc.delegatedAmount} tokens${
+              acc.amount > 0 ? "" : " sent to this account"
+            }.`,
+        revokeInstruction: {
+          programId: acc.programId,
+          accounts: [
+            { pubkey: acc.address, isSigner: false, isWritable: true },
+            { pubkey: owner, isSigner: true, isWritable: false },
+          ],
+          data: REVOKE_DATA,
+        },
+      };
+    })
+    .sort(
+      (a, b) =>
+        FLAG_ORDER[a.level] - FLAG_ORDER[b.level] ||
+        (b.valueAtRiskUsd ?? -1) - (a.valueAtRiskUsd ?? -1)
+    );
+}
+
+// --- Wallet scan --------------------------------------------------------
+
+// → { address, summary, positions, approvals, errors }
+export async function scanWallet(address, { fresh = false, profile } = {}) {
+  const accounts = await fetchTokenAccounts(address);
+  const positions = groupPositions(accounts);
+  const mints = positions.map((p) => p.mint);
+  const dexPairs = mints.length ? await fetchDexPairsSafe(mints) : null;
+
+  for (const pos of positions) {
+    const price = dexPairs ? summarizeDexPairs(pos.mint, dexPairs[pos.mint]).priceUsd : null;
+    pos.priceUsd = price ?? null;
+    pos.valueUsd = price != null ? pos.amount * price : null;
+  }
+  // most valuable first; unpriced ones after, largest balance first
+  positions.sort((a, b) => (b.valueUsd ?? -1) - (a.valueUsd ?? -1) || b.amount - a.amount);
+
+  const toScan = positions.slice(0, MAX_WALLET_SCANS).map((p) => p.mint);
+  const { results, errors } = toScan.length
+    ? await scanMints(toScan, { fresh, profile, dexPairs })
+    : { results: {}, errors: {} };
+
+  const summary = {
+    positions: positions.length,
+    scanned: 0,
+    totalValueUsd: 0,
+    atRiskValueUsd: 0,
+    byLevel: { low: 0, medium: 0, high: 0, unknown: 0 },
+    riskyApprovals: 0,
+  };
+
+  const graded = positions.map((pos) => {
+    const scan = results[pos.mint];
+    // the scan knows stablecoin prices DexScreener may not have
+    const priceUsd = scan?.tokenMetrics?.priceUsd ?? pos.priceUsd;
+    const valueUsd = priceUsd != null ? pos.amount * priceUsd : null;
+    const flags = scan ? positionFlags(scan, pos) : [];
+    const level = scan?.riskSummary?.level ?? "unknown";
+
+    if (scan) summary.scanned += 1;
+    summary.byLevel[level] = (summary.byLevel[level] ?? 0) + 1;
+    if (valueUsd != null) {
+      summary.totalValueUsd += valueUsd;
+      if (level === "high" || flags.some((f) => f.level === "bad")) summary.atRiskValueUsd += valueUsd;
+    }
+
+    return {
+      mint: pos.mint,
+      name: scan?.tokenMeta?.name ?? null,
+      symbol: scan?.tokenMeta?.symbol ?? null,
+      logoURI: scan?.tokenMeta?.logoURI ?? null,
+      program: pos.program,
+      amount: pos.amount,
+      decimals: pos.decimals,
+      accounts: pos.accounts,
+      priceUsd,
+      valueUsd,
+      level,
+      score: scan?.riskSummary?.score ?? null,
+      flags,
+      scanned: Boolean(scan),
+      error: errors[pos.mint]?.error ?? null,
+    };
+  });
+
+  const approvals = buildApprovals(
+    accounts,
+    address,
+    new Map(graded.map((p) => [p.mint, p]))
+  );
+  summary.riskyApprovals = approvals.filter((a) => a.level === "bad").length;
+
+  return { address, summary, positions: graded, approvals, errors };
+}
@@ -0,0 +1,279 @@
+// lib/watchlist.js
+// Server-side watchlists: mints re-scanned on a schedule, with alerts when
+// something crosses a threshold (lib/alerts.js).
+// - A watchlist is addressed by a random id the browser keeps; whoever has
+//   the id can read and edit it (no accounts)
+// - Stored in lib/store.js, so GLASSBOX_STORE=kv keeps them across instances
+// - rescanWatchlists() is run by /api/watchlist/rescan (cron + open pages)
+// - Telegram chats get one list each via /watch (lib/telegram.js)
+
+import { createHash, randomUUID } from "node:crypto";
+import { dispatchScanAlertsSafe } from "./alert-rules.js";
+import {
+  alertId,
+  evaluateAlerts,
+  normalizeThresholds,
+  watchStateFromScan,
+} from "./alerts.js";
+import {
+  checkDestinationHost,
+  deliverSafe,
+  normalizeDestination,
+  normalizeDestinationUrl,
+} from "./delivery.js";
+import { recordSnapshotSafe } from "./history.js";
+import { getScoringProfile } from "./profiles.js";
+import { mapWithConcurrency, scanMint } from "./scan.js";
+import { getDataStore } from "./store.js";
+
+export const RESCAN_INTERVAL_MS = 5 * 60_000;
+const MAX_SCANS_PER_RUN = 20;   // serverless time limit, oldest scans go first
+const RESCAN_CONCURRENCY = 3;
+const MAX_ALERTS_PER_LIST = 200;
+
+const INDEX_KEY = "glassbox:watchlists";
+const listKey = (id) => `glassbox:watchlist:${id}`;
+const alertsKey = (id) => `glassbox:alerts:${id}`;
+const chatKey = (chatId) => `glassbox:telegram-chat:${chatId}`;
+
+const ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+function watchlistError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function isWatchlistId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+export async function getWatchlist(id) {
+  if (!isWatchlistId(id)) return null;
+  return getDataStore().get(listKey(id));
+}
+
+async function saveWatchlist(list) {
+  list.updatedAt = new Date().toISOString();
+  await getDataStore().set(listKey(list.id), list);
+  return list;
+}
+
+// Read, change and write back one list; throws 404 when it doesn't exist
+async function updateWatchlist(id, change) {
+  const list = await getWatchlist(id);
+  if (!list) throw watchlistError(404, "Watchlist not found");
+  change(list);
+  return saveWatchlist(list);
+}
+
+export async function createWatchlist({ profile, telegramChatId = null } = {}) {
+  const store = getDataStore();
+  const list = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    profile: profile ? getScoringProfile(profile).name : null,
+    thresholds: normalizeThresholds(),
+    webhookUrl: null,
+    webhookSecret: null,
+    telegramChatId,
+    entries: [],
+  };
+  await saveWatchlist(list);
+  await store.setAdd(INDEX_KEY, list.id);
+  return list;
+}
+
+// The list a Telegram chat's /watch adds to; its alerts go to that chat
+export async function getChatWatchlist(chatId, { create = false } = {}) {
+  const store = getDataStore();
+  const id = await store.get(chatKey(chatId));
+  const list = id ? await getWatchlist(id) : null;
+  if (list || !create) return list;
+  const created = await createWatchlist({ telegramChatId: String(chatId) });
+  await store.set(chatKey(chatId), created.id);
+  return created;
+}
+
+// New entries get their baseline on the next re-scan, so they never alert
+// on the first one
+export async function addToWatchlist(id, { mint, symbol, name } = {}) {
+  const address = String(mint || "").trim();
+  if (!MINT_RE.test(address)) throw watchlistError(400, "Invalid mint address");
+  return updateWatchlist(id, (list) => {
+    if (list.entries.some((e) => e.mint === address)) return;
+    list.entries.push({
+      mint: address,
+      symbol: symbol || null,
+      name: name || null,
+      addedAt: new Date().toISOString(),
+      lastScannedAt: null,
+      lastError: null,
+      last: null,
+    });
+  });
+}
+
+export async function removeFromWatchlist(id, mint) {
+  return updateWatchlist(id, (list) => {
+    list.entries = list.entries.filter((e) => e.mint !== mint);
+  });
+}
+
+// { thresholds?, webhookUrl?, profile? } – only the keys given change.
+// Webhooks are signed like alert-rule webhooks (lib/delivery.js) with
+// `webhookSecret`, made once and kept when the URL changes.
+export async function updateWatchlistSettings(id, settings = {}) {
+  const next = {};
+  if (settings.thresholds !== undefined) {
+    next.thresholds = normalizeThresholds(settings.thresholds);
+  }
+  const webhookUrl = settings.webhookUrl;
+  const webhook =
+    webhookUrl !== undefined && webhookUrl !== null && webhookUrl !== ""
+      ? normalizeDestination({
+          type: "webhook",
+          url: normalizeDestinationUrl(webhookUrl, "webhookUrl"),
+        })
+      : null;
+  if (webhook) await checkDestinationHost(webhook);
+  if (settings.profile !== undefined) {
+    next.profile = settings.profile ? getScoringProfile(settings.profile).name : null;
+  }
+  return updateWatchlist(id, (list) => {
+    Object.assign(list, next);
+    if (webhookUrl === undefined) return;
+    list.webhookUrl = webhook?.url ?? null;
+    if (webhook && !list.webhookSecret) list.webhookSecret = webhook.secret;
+  });
+}
+
+// Newest first
+export async function getAlerts(id, limit = 50) {
+  if (!isWatchlistId(id)) return [];
+  return getDataStore().listRange(alertsKey(id), 0, limit - 1);
+}
+
+// Webhook and / or Telegram chat of the list, one message per re-scan
+async function deliverListAlerts(list, alerts) {
+  const destinations = [];
+  if (list.webhookUrl) {
+    destinations.push({ type: "webhook", url: list.webhookUrl, secret: list.webhookSecret });
+  }
+  if (list.telegramChatId) {
+    destinations.push({ type: "telegram", chatId: list.telegramChatId });
+  }
+  const ids = alerts.map((a) => a.id).join(",");
+  for (const destination of destinations) {
+    await deliverSafe({
+      idempotencyKey: createHash("sha1")
+        .update(`watchlist:${list.id}:${destination.type}:${ids}`)
+        .digest("hex"),
+      destination,
+      source: "watchlist",
+      text: [
+        "👁 GlassBox watchlist",
+        ...alerts.map((a) => `${a.symbol || a.mint}: ${a.message}`),
+      ].join("\n"),
+      payload: { event: "watchlist.alerts", watchlistId: list.id, alerts },
+    });
+  }
+}
+
+// Re-scan every due entry (all lists, or just `ids`) through scanMint – the
+// same scan /api/check runs, snapshot included – then store and deliver
+// the alerts. A mint on several lists is scanned once per profile.
+// → { lists, scanned, alerts, errors: { [mint]: message } }
+export async function rescanWatchlists({ ids, force = false, now = Date.now() } = {}) {
+  const store = getDataStore();
+  const listIds = ids || (await store.setMembers(INDEX_KEY));
+  const lists = (await Promise.all(listIds.map(getWatchlist))).filter(Boolean);
+  const jobKey = (mint, profile) => `${mint}:${profile || "default"}`;
+
+  const due = new Map();
+  for (const list of lists) {
+    for (const entry of list.entries) {
+      const lastAt = entry.lastScannedAt ? Date.parse(entry.lastScannedAt) : 0;
+      if (!force && now - lastAt < RESCAN_INTERVAL_MS) continue;
+      const key = jobKey(entry.mint, list.profile);
+      if (!due.has(key) || lastAt < due.get(key).lastAt) {
+        due.set(key, { mint: entry.mint, profile: list.profile, lastAt });
+      }
+    }
+  }
+  const jobs = [...due.values()]
+    .sort((a, b) => a.lastAt - b.lastAt)
+    .slice(0, MAX_SCANS_PER_RUN);
+
+  const scans = new Map();
+  const failures = new Map();
+  await mapWithConcurrency(jobs, RESCAN_CONCURRENCY, async (job) => {
+    const key = jobKey(job.mint, job.profile);
+    try {
+      const scan = await scanMint(job.mint, {}, { profile: job.profile || undefined });
+      await recordSnapshotSafe(job.mint, scan);
+      await dispatchScanAlertsSafe(job.mint, scan);
+      scans.set(key, { scan, at: Date.now() });
+    } catch (e) {
+      if (!e.status || e.status >= 500) {
+        console.error("GlassBox watchlist rescan failed for", job.mint, e);
+      }
+      failures.set(key, { message: e.message || "Scan failed", at: Date.now() });
+    }
+  });
+
+  let alertCount = 0;
+  for (const list of lists) {
+    const fired = [];
+    let updated;
+    try {
+      updated = await updateWatchlist(list.id, (fresh) => {
+        for (const entry of fresh.entries) {
+          const key = jobKey(entry.mint, fresh.profile);
+          const failure = failures.get(key);
+          if (failure) {
+            // wait a full interval before retrying a broken mint
+            entry.lastScannedAt = new Date(failure.at).toISOString();
+            entry.lastError = failure.message;
+          }
+          const hit = scans.get(key);
+          if (!hit) continue;
+
+          const curr = watchStateFromScan(hit.scan, hit.at, entry.last);
+          entry.symbol = hit.scan.tokenMeta?.symbol || entry.symbol;
+          entry.name = hit.scan.tokenMeta?.name || entry.name;
+          for (const alert of evaluateAlerts(entry.last, curr, fresh.thresholds)) {
+            fired.push({
+              id: alertId(entry.mint, alert.code, curr.scannedAt),
+              mint: entry.mint,
+              symbol: entry.symbol,
+              createdAt: curr.scannedAt,
+              ...alert,
+            });
+          }
+          entry.last = curr;
+          entry.lastScannedAt = curr.scannedAt;
+          entry.lastError = null;
+        }
+      });
+    } catch (e) {
+      // list deleted mid-run, or the store is down – the others still go
+      console.error("GlassBox watchlist update failed for", list.id, e?.message || e);
+      continue;
+    }
+
+    for (const alert of fired) {
+      await store.listPush(alertsKey(list.id), alert, MAX_ALERTS_PER_LIST);
+    }
+    if (fired.length) await deliverListAlerts(updated, fired);
+    alertCount += fired.length;
+  }
+
+  const errors = {};
+  for (const job of jobs) {
+    const failure = failures.get(jobKey(job.mint, job.profile));
+    if (failure) errors[job.mint] = failure.message;
+  }
+  return { lists: lists.length, scanned: scans.size, alerts: alertCount, errors };
+}
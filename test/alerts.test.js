@@ -0,0 +1,59 @@
+// test/alerts.test.js
+// Watchlist alert evaluation (lib/alerts.js) on fixtures/scans/.
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { evaluateAlerts, watchStateFromScan } from "../lib/alerts.js";
+
+const scan = (name) =>
+  JSON.parse(readFileSync(new URL(`../fixtures/scans/${name}`, import.meta.url), "utf8"));
+
+const MINUTES = 60_000;
+
+test("a failed lookup carries the last figures forward", () => {
+  const good = watchStateFromScan(scan("holders-ok.json"), 0);
+  for (const outage of ["holders-failed.json", "labels-failed.json", "market-failed.json"]) {
+    const failed = watchStateFromScan(scan(outage), 5 * MINUTES, good);
+    for (const field of ["insidersPct", "whales", "holdersCount", "liquidityUsd", "priceUsd"]) {
+      assert.deepEqual(failed[field], good[field], `${outage} ${field}`);
+    }
+    assert.deepEqual(evaluateAlerts(good, failed), [], outage);
+
+    const again = watchStateFromScan(scan("holders-ok.json"), 10 * MINUTES, failed);
+    assert.deepEqual(evaluateAlerts(failed, again), [], outage);
+  }
+});
+
+test("a failed first scan has no baseline to alert from", () => {
+  for (const outage of ["holders-failed.json", "labels-failed.json"]) {
+    const failed = watchStateFromScan(scan(outage), 0);
+    assert.equal(failed.insidersPct, null);
+    assert.equal(failed.whales, null);
+    const good = watchStateFromScan(scan("holders-ok.json"), 5 * MINUTES, failed);
+    assert.deepEqual(evaluateAlerts(failed, good), [], outage);
+  }
+});
+
+test("insider spikes, new whales and liquidity pulls alert", () => {
+  const before = watchStateFromScan(scan("holders-ok.json"), 0);
+  const rug = scan("holders-ok.json");
+  rug.insiderSummary.insidersTotalPct = 24;
+  rug.insiderSummary.whales.push({ address: "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM", pct: 12 });
+  rug.tokenMetrics.liquidityUsd /= 3;
+  const alerts = evaluateAlerts(before, watchStateFromScan(rug, 5 * MINUTES, before));
+  assert.deepEqual(alerts.map((a) => a.code).sort(), ["INSIDERS_SPIKE", "LIQUIDITY_DROP", "NEW_WHALE"]);
+  assert.equal(alerts.find((a) => a.code === "NEW_WHALE").to, "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM");
+});
+
+test("thresholds are per watchlist", () => {
+  const before = watchStateFromScan(scan("holders-ok.json"), 0);
+  const dip = scan("holders-ok.json");
+  dip.tokenMetrics.liquidityUsd *= 0.71; // −29%
+  const after = watchStateFromScan(dip, 5 * MINUTES, before);
+  assert.deepEqual(evaluateAlerts(before, after), []);
+  assert.deepEqual(
+    evaluateAlerts(before, after, { liquidityDropPct: 20 }).map((a) => a.code),
+    ["LIQUIDITY_DROP"]
+  );
+});
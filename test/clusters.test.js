@@ -0,0 +1,54 @@
+// test/clusters.test.js
+// Funding clusters (lib/scan.js) from a mock-provider scan of USDC: three
+// wallet holders whose first SOL came from the same wallet.
+
+import assert from "node:assert/strict";
+import { cpSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { createMemoryStore, setCacheStore } from "../lib/cache.js";
+import { scanMint } from "../lib/scan.js";
+
+const USDC = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const FUNDER = "2q7wbKmiG6m6Lr1HKKpgaCdzvymtnMYfDpBQEs52YTop";
+const EXCHANGE = "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM"; // Binance 2
+
+const dir = mkdtempSync(path.join(tmpdir(), "glassbox-fixtures-"));
+cpSync(new URL("../fixtures", import.meta.url), dir, { recursive: true });
+process.env.GLASSBOX_PROVIDER = "mock";
+process.env.GLASSBOX_FIXTURES_DIR = dir;
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("holders first funded by one wallet form a cluster", async () => {
+  const scan = await scanMint(USDC, {}, { fresh: true });
+  const holders = scan.holderSummary.topHoldersExcludingLP;
+  const { largestCluster, clusters, tracedWallets, riskLevel } = scan.insiderClusters;
+
+  assert.equal(clusters.length, 1);
+  assert.equal(tracedWallets, 3);
+  assert.equal(largestCluster.funder, FUNDER);
+  assert.deepEqual(largestCluster.holderAddresses, holders.map((h) => h.address));
+  assert.equal(largestCluster.ownerAddresses.length, 3);
+  assert.equal(
+    largestCluster.pctOfSupply,
+    holders.reduce((sum, h) => sum + h.pct, 0)
+  );
+  // ~9.5% across 3 wallets
+  assert.equal(largestCluster.riskLevel, "medium");
+  assert.equal(riskLevel, "medium");
+});
+
+test("wallets funded by an exchange hot wallet are not a cluster", async () => {
+  const txDir = path.join(dir, "rpc/getTransaction");
+  for (const file of readdirSync(txDir)) {
+    const tx = readFileSync(path.join(txDir, file), "utf8");
+    writeFileSync(path.join(txDir, file), tx.replaceAll(FUNDER, EXCHANGE));
+  }
+  setCacheStore(createMemoryStore()); // first funders are cached even on ?fresh=1
+
+  const scan = await scanMint(USDC, {}, { fresh: true });
+  assert.deepEqual(scan.insiderClusters.clusters, []);
+  assert.equal(scan.insiderClusters.largestCluster, null);
+  assert.equal(scan.insiderClusters.tracedWallets, 3);
+});
@@ -0,0 +1,55 @@
+// test/cron.test.js
+// The cron endpoints act on every list / delivery, so they refuse to run
+// without CRON_SECRET and answer only the cron's bearer token.
+
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import retry from "../api/alerts/retry.js";
+import rescan from "../api/watchlist/rescan.js";
+import { createMemoryDataStore, setDataStore } from "../lib/store.js";
+
+process.env.GLASSBOX_PROVIDER = "mock";
+
+afterEach(() => {
+  delete process.env.CRON_SECRET;
+});
+
+async function call(handler, headers = {}) {
+  setDataStore(createMemoryDataStore());
+  const res = {
+    code: null,
+    body: null,
+    setHeader() {},
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler({ method: "POST", headers, query: {} }, res);
+  return res;
+}
+
+test("the watchlist re-scan needs CRON_SECRET", async () => {
+  assert.equal((await call(rescan)).code, 500);
+  assert.equal((await call(rescan, { authorization: "Bearer " })).code, 500);
+
+  process.env.CRON_SECRET = "cron-secret";
+  assert.equal((await call(rescan)).code, 401);
+  assert.equal((await call(rescan, { authorization: "Bearer wrong" })).code, 401);
+  const ok = await call(rescan, { authorization: "Bearer cron-secret" });
+  assert.equal(ok.code, 200);
+  assert.equal(ok.body.lists, 0);
+});
+
+test("the alert retry run needs CRON_SECRET", async () => {
+  assert.equal((await call(retry)).code, 500);
+
+  process.env.CRON_SECRET = "cron-secret";
+  assert.equal((await call(retry, { authorization: "Bearer wrong" })).code, 401);
+  const ok = await call(retry, { authorization: "Bearer cron-secret" });
+  assert.deepEqual(ok.body, { retried: 0, delivered: 0, failed: 0, pending: 0 });
+});
@@ -0,0 +1,122 @@
+// test/delivery.test.js
+// Webhook signing (lib/delivery.js) against fixtures/webhooks/, and what a
+// receiver sees for a real send.
+
+import assert from "node:assert/strict";
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { beforeEach, test } from "node:test";
+import { deliver, retryPendingDeliveries, signWebhook } from "../lib/delivery.js";
+import { createMemoryDataStore, setDataStore } from "../lib/store.js";
+
+const fixture = JSON.parse(
+  readFileSync(new URL("../fixtures/webhooks/rule-matched.json", import.meta.url), "utf8")
+);
+
+// What a receiver runs: HMAC-SHA256 over "<timestamp>.<raw body>"
+function verify(secret, headers, body) {
+  const expected = Buffer.from(
+    "sha256=" + createHmac("sha256", secret).update(`${headers.timestamp}.${body}`).digest("hex")
+  );
+  const given = Buffer.from(String(headers.signature));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+beforeEach(() => setDataStore(createMemoryDataStore()));
+
+test("signWebhook matches the recorded signature", () => {
+  const { secret, headers, body } = fixture;
+  assert.equal(
+    signWebhook(secret, headers["X-Glassbox-Timestamp"], body),
+    headers["X-Glassbox-Signature"]
+  );
+});
+
+test("a changed body, timestamp or secret no longer verifies", () => {
+  const { secret, headers, body } = fixture;
+  const signed = { timestamp: headers["X-Glassbox-Timestamp"], signature: headers["X-Glassbox-Signature"] };
+  assert.equal(verify(secret, signed, body), true);
+  assert.equal(verify(secret, signed, body.replace('"score":31', '"score":91')), false);
+  assert.equal(verify(secret, { ...signed, timestamp: "1792396801" }, body), false);
+  assert.equal(verify("whsec_other_secret_0000", signed, body), false);
+});
+
+test("a deferred webhook is sent by the retry run, signed", async (t) => {
+  process.env.GLASSBOX_ALERTS_ALLOW_HTTP = "1";
+  process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS = "1";
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.close();
+    delete process.env.GLASSBOX_ALERTS_ALLOW_HTTP;
+    delete process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS;
+  });
+
+  const queued = await deliver({
+    idempotencyKey: "test:deferred",
+    destination: {
+      type: "webhook",
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      secret: fixture.secret,
+    },
+    text: "x",
+    payload: JSON.parse(fixture.body),
+    source: "test",
+    defer: true,
+  });
+  assert.equal(queued.status, "pending");
+  assert.equal(received.length, 0);
+
+  assert.deepEqual(await retryPendingDeliveries(), { retried: 1, delivered: 1, failed: 0, pending: 0 });
+  const [hook] = received;
+  assert.equal(hook.body, fixture.body);
+  assert.equal(hook.headers["idempotency-key"], "test:deferred");
+  assert.equal(
+    verify(fixture.secret, {
+      timestamp: hook.headers["x-glassbox-timestamp"],
+      signature: hook.headers["x-glassbox-signature"],
+    }, hook.body),
+    true
+  );
+});
+
+test("a key delivered or retried by overlapping runs is sent once", async (t) => {
+  process.env.GLASSBOX_ALERTS_ALLOW_HTTP = "1";
+  process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS = "1";
+  const received = [];
+  const server = createServer((req, res) => {
+    received.push(req.headers["idempotency-key"]);
+    res.end("ok");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.close();
+    delete process.env.GLASSBOX_ALERTS_ALLOW_HTTP;
+    delete process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS;
+  });
+  const message = (idempotencyKey, defer = false) => ({
+    idempotencyKey,
+    destination: { type: "webhook", url: `http://127.0.0.1:${server.address().port}/hook`, secret: fixture.secret },
+    text: "x",
+    payload: {},
+    source: "test",
+    defer,
+  });
+
+  const sent = await Promise.all(Array.from({ length: 5 }, () => deliver(message("test:once"))));
+  assert.equal(sent.filter((d) => !d.duplicate).length, 1);
+
+  await deliver(message("test:queued", true));
+  const runs = await Promise.all([retryPendingDeliveries(), retryPendingDeliveries()]);
+  assert.equal(runs[0].retried + runs[1].retried, 1);
+  assert.deepEqual(received, ["test:once", "test:queued"]);
+});
@@ -0,0 +1,63 @@
+// test/history.test.js
+// Snapshots and diffs (lib/history.js) from the scans in fixtures/scans/.
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { diffSnapshots, snapshotFromScan } from "../lib/history.js";
+
+const scan = (name) =>
+  JSON.parse(readFileSync(new URL(`../fixtures/scans/${name}`, import.meta.url), "utf8"));
+
+const HOUR = 3_600_000;
+
+test("failed holder blocks are stored as null, not as their fallback", () => {
+  const snap = snapshotFromScan(scan("holders-failed.json"));
+  assert.equal(snap.top10PctExclLP, null);
+  assert.equal(snap.insidersPct, null);
+  assert.equal(snap.holdersCount, null);
+  assert.equal(snap.score, null);
+  assert.equal(snap.liquidityUsd, scan("holders-ok.json").tokenMetrics.liquidityUsd);
+});
+
+test("unlabelled holders and a failed market lookup are not figures either", () => {
+  const unlabelled = snapshotFromScan(scan("labels-failed.json"));
+  assert.equal(unlabelled.insidersPct, null);
+  assert.equal(unlabelled.score, null);
+  assert.equal(unlabelled.holdersCount, 8);
+
+  const noMarket = snapshotFromScan(scan("market-failed.json"));
+  assert.equal(noMarket.liquidityUsd, null);
+  assert.equal(noMarket.priceUsd, null);
+  assert.equal(noMarket.insidersPct, snapshotFromScan(scan("holders-ok.json")).insidersPct);
+});
+
+test("an outage between two good scans makes no events", () => {
+  for (const outage of ["holders-failed.json", "labels-failed.json", "market-failed.json"]) {
+    const good = snapshotFromScan(scan("holders-ok.json"), 0);
+    const failed = snapshotFromScan(scan(outage), HOUR);
+    assert.deepEqual(diffSnapshots(good, failed), [], outage);
+    assert.deepEqual(
+      diffSnapshots(failed, snapshotFromScan(scan("holders-ok.json"), 2 * HOUR)),
+      [],
+      outage
+    );
+  }
+});
+
+test("real moves still show up", () => {
+  const before = snapshotFromScan(scan("holders-ok.json"), 0);
+  const rug = scan("holders-ok.json");
+  rug.insiderSummary.insidersTotalPct = 31;
+  rug.tokenMetrics.liquidityUsd = 12000;
+  rug.mintInfo.mintAuthorityAddress = "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM";
+  rug.mintInfo.freezeAuthority = false;
+  rug.mintInfo.freezeAuthorityAddress = null;
+  const codes = diffSnapshots(before, snapshotFromScan(rug, HOUR)).map((e) => e.code);
+  assert.deepEqual(codes.sort(), [
+    "FREEZE_AUTHORITY_REVOKED",
+    "INSIDERS_UP",
+    "LIQUIDITY_DOWN",
+    "MINT_AUTHORITY_CHANGED",
+  ]);
+});
@@ -0,0 +1,36 @@
+// test/lp-pool.test.js
+// LP pool layouts (lib/scan.js LP_POOL_PROGRAMS) against fixtures/pools/.
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { lookupProgram } from "../lib/programs.js";
+import { readLpPoolState } from "../lib/scan.js";
+
+const fixture = (name) =>
+  JSON.parse(readFileSync(new URL(`../fixtures/pools/${name}`, import.meta.url), "utf8"));
+
+test("Raydium CPMM pool: lp_mint @136, lp_supply @333", () => {
+  const pool = fixture("raydium-cpmm.json");
+  const state = readLpPoolState(pool.programId, pool.data[0]);
+  assert.equal(state.label, "Raydium CPMM");
+  assert.equal(state.lpMint, pool.expected.lpMint);
+  assert.equal(state.trackedSupply, BigInt(pool.expected.lpSupply));
+});
+
+test("short or unknown pool accounts are not read", () => {
+  const pool = fixture("raydium-cpmm.json");
+  assert.equal(readLpPoolState(pool.programId, ""), null);
+  assert.equal(readLpPoolState("11111111111111111111111111111111", pool.data[0]), null);
+});
+
+test("concentrated pools are flagged position-nft in the registry", () => {
+  for (const programId of [
+    "whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc",
+    "CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK",
+    "LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo",
+    "cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG",
+  ]) {
+    assert.equal(lookupProgram(programId)?.liquidity, "position-nft", programId);
+  }
+});
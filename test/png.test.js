@@ -0,0 +1,106 @@
+// test/png.test.js
+// PNG decoding limits (lib/png.js) and the OG card's logo fetch
+// (lib/og-card.js).
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { deflateSync } from "node:zlib";
+import { fetchLogoSafe } from "../lib/og-card.js";
+import { decodePng, encodePng } from "../lib/png.js";
+
+// PNG from a hand-made IHDR and IDAT payload (decodePng doesn't check CRCs)
+function craftPng(width, height, idat) {
+  const chunk = (type, data) => {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write(type, 4, "ascii");
+    return Buffer.concat([head, data, Buffer.alloc(4)]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", idat),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+test("encode → decode round-trips", () => {
+  const data = Buffer.from([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0, 9, 9, 9, 9]);
+  const png = decodePng(encodePng(2, 2, data));
+  assert.equal(png.width, 2);
+  assert.equal(png.height, 2);
+  assert.deepEqual(png.data, data);
+});
+
+test("IDAT that inflates past the header size is rejected", () => {
+  const bomb = craftPng(16, 16, deflateSync(Buffer.alloc(64 * 1024 * 1024)));
+  assert.ok(bomb.length < 100 * 1024);
+  assert.throws(() => decodePng(bomb), { status: 415, message: "PNG data larger than its header" });
+});
+
+test("headers over the pixel limit are rejected before inflating", () => {
+  const huge = craftPng(4096, 4096, deflateSync(Buffer.alloc(16)));
+  assert.throws(() => decodePng(huge), { status: 415, message: "PNG too large" });
+});
+
+test("logos on private hosts are never fetched", async (t) => {
+  const realFetch = globalThis.fetch;
+  let fetched = 0;
+  globalThis.fetch = async () => {
+    fetched += 1;
+    return new Response(null, { status: 404 });
+  };
+  t.after(() => (globalThis.fetch = realFetch));
+
+  for (const uri of [
+    "http://169.254.169.254/latest/meta-data/iam/security-credentials/",
+    "http://127.0.0.1:6379/logo.png",
+    "https://[fd00::1]/logo.png",
+    "http://localhost/logo.png",
+  ]) {
+    assert.equal(await fetchLogoSafe(uri), null, uri);
+  }
+  assert.equal(fetched, 0);
+});
+
+test("a logo without Content-Length stops downloading at the size cap", async (t) => {
+  const realFetch = globalThis.fetch;
+  process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS = "1";
+  t.after(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS;
+  });
+  // chunked body: no Content-Length, as long as the reader keeps reading
+  const chunked = (bytes, { endless = false } = {}) => {
+    const state = { sent: 0, cancelled: false };
+    const body = new ReadableStream({
+      pull(controller) {
+        const chunk = endless ? Buffer.alloc(64 * 1024) : bytes.subarray(state.sent, state.sent + 1024);
+        if (!chunk.length) return controller.close();
+        state.sent += chunk.length;
+        controller.enqueue(chunk);
+      },
+      cancel() {
+        state.cancelled = true;
+      },
+    });
+    globalThis.fetch = async () => new Response(body);
+    return state;
+  };
+
+  const endless = chunked(null, { endless: true });
+  assert.equal(await fetchLogoSafe("https://logos.example/huge.png"), null);
+  assert.ok(endless.cancelled);
+  assert.ok(endless.sent < 4 * 1024 * 1024, `read ${endless.sent} bytes`);
+
+  const png = encodePng(2, 2, Buffer.alloc(16, 255));
+  const small = chunked(png);
+  const logo = await fetchLogoSafe("https://logos.example/small.png");
+  assert.equal(small.sent, png.length);
+  assert.deepEqual([logo.width, logo.height], [2, 2]);
+});
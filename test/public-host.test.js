@@ -0,0 +1,68 @@
+// test/public-host.test.js
+// Outbound URL guard (lib/public-host.js) and redirect handling in
+// lib/delivery.js.
+
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { test } from "node:test";
+import { deliver, normalizeDestinationUrl } from "../lib/delivery.js";
+import { assertPublicHost, isPublicAddress } from "../lib/public-host.js";
+
+test("private, loopback, link-local and reserved addresses are not public", () => {
+  for (const ip of [
+    "127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254",
+    "100.64.0.1", "0.0.0.0", "224.0.0.1", "255.255.255.255",
+    "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:7f00:1",
+  ]) {
+    assert.equal(isPublicAddress(ip), false, ip);
+  }
+  for (const ip of ["1.1.1.1", "104.16.0.1", "2606:4700::1111"]) {
+    assert.equal(isPublicAddress(ip), true, ip);
+  }
+  assert.equal(isPublicAddress("example.com"), false);
+});
+
+test("literal and localhost URLs are rejected without a lookup", async () => {
+  for (const url of [
+    "https://127.0.0.1/hook",
+    "https://[::1]/hook",
+    "https://2130706433/hook", // 127.0.0.1 as one number
+    "https://169.254.169.254/latest/meta-data",
+    "https://localhost:8080/hook",
+    "https://api.localhost/hook",
+  ]) {
+    assert.throws(() => normalizeDestinationUrl(url), { status: 400 }, url);
+    await assert.rejects(assertPublicHost(url), { status: 400 }, url);
+  }
+});
+
+test("a 3xx from a webhook fails the delivery without following it", async (t) => {
+  process.env.GLASSBOX_ALERTS_ALLOW_HTTP = "1";
+  process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS = "1";
+  let followed = false;
+  const server = createServer((req, res) => {
+    if (req.url === "/internal") followed = true;
+    res.writeHead(302, { Location: "/internal" }).end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.close();
+    delete process.env.GLASSBOX_ALERTS_ALLOW_HTTP;
+    delete process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS;
+  });
+
+  const delivery = await deliver({
+    idempotencyKey: "test:redirect",
+    destination: {
+      type: "webhook",
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      secret: "0123456789abcdef",
+    },
+    text: "test",
+    payload: { event: "test" },
+    source: "test",
+  });
+  assert.equal(delivery.status, "failed");
+  assert.match(delivery.lastError, /redirect/);
+  assert.equal(followed, false);
+});
@@ -0,0 +1,76 @@
+// test/scan-errors.test.js
+// scanMint against the mock provider with some inputs failing: the blocks
+// that fell back must be named in `errors` and streamed as section errors.
+
+import assert from "node:assert/strict";
+import { cpSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { scanMint } from "../lib/scan.js";
+
+const USDC = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const TOKEN_PROGRAM = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+// getMultipleAccounts key of the top holders' token accounts (labelling)
+const HOLDER_ACCOUNTS_KEY = "29005128e0c3a92299e881064d74b0b3f0fab79e";
+
+// A scratch copy of fixtures/, so outages can be written into it
+const dir = mkdtempSync(path.join(tmpdir(), "glassbox-fixtures-"));
+cpSync(new URL("../fixtures", import.meta.url), dir, { recursive: true });
+process.env.GLASSBOX_PROVIDER = "mock";
+process.env.GLASSBOX_FIXTURES_DIR = dir;
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const fail = (file, message) =>
+  writeFileSync(path.join(dir, file), JSON.stringify({ mockError: message }));
+const restore = (file) =>
+  cpSync(new URL(`../fixtures/${file}`, import.meta.url), path.join(dir, file));
+
+test("a healthy scan reports no errors", async () => {
+  const scan = await scanMint(USDC, {}, { fresh: true });
+  assert.deepEqual(scan.errors, {});
+  assert.equal(scan.holderDistribution.holdersCount, 8);
+  assert.deepEqual(
+    scan.holderSummary.topHolders.map((h) => h.category),
+    ["amm-vault", "exchange", "wallet", "exchange", "wallet", "wallet"]
+  );
+  assert.ok(scan.tokenMetrics.liquidityUsd > 0);
+});
+
+test("failed holder and market lookups are named in errors", async () => {
+  fail(`rpc/getProgramAccounts/${TOKEN_PROGRAM}.json`, "getProgramAccounts timed out");
+  fail(`dexscreener/${USDC}.json`, "DexScreener 503");
+
+  const streamed = {};
+  const scan = await scanMint(USDC, {}, {
+    fresh: true,
+    onSectionError: (name, message) => (streamed[name] = message),
+  });
+
+  assert.equal(scan.errors.holderDistribution, "getProgramAccounts timed out");
+  assert.equal(scan.errors.tokenMetrics, "DexScreener 503");
+  assert.equal(scan.holderDistribution, null);
+  assert.equal(scan.tokenMetrics.liquidityUsd, null);
+  assert.deepEqual(streamed, scan.errors);
+
+  restore(`rpc/getProgramAccounts/${TOKEN_PROGRAM}.json`);
+  restore(`dexscreener/${USDC}.json`);
+});
+
+test("unlabelled holders are reported and not counted as insiders", async () => {
+  const file = `rpc/getMultipleAccounts/${HOLDER_ACCOUNTS_KEY}.json`;
+  fail(file, "getMultipleAccounts 429");
+
+  const streamed = {};
+  const scan = await scanMint(USDC, {}, {
+    fresh: true,
+    onSectionError: (name, message) => (streamed[name] = message),
+  });
+  restore(file);
+
+  assert.deepEqual(scan.errors, { holderLabels: "getMultipleAccounts 429" });
+  assert.deepEqual(streamed, scan.errors);
+  assert.ok(scan.holderSummary.topHolders.every((h) => h.category === null));
+  assert.equal(scan.insiderSummary.insidersTotalPct, 0);
+  assert.deepEqual(scan.insiderSummary.whales, []);
+});
@@ -0,0 +1,93 @@
+// test/sell-route.test.js
+// Sell simulation (lib/scan.js): the route check on fixtures/jupiter/ and
+// the seller pick on the recorded USDC scan.
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { selectSellerAccount, sellerCandidates, sellRoute } from "../lib/scan.js";
+
+const quote = JSON.parse(
+  readFileSync(new URL("../fixtures/jupiter/quote-other-pool.json", import.meta.url), "utf8")
+);
+const ROUTED_POOL = quote.routePlan[0].swapInfo.ammKey;
+
+test("a route through the primary pool matches", () => {
+  const route = sellRoute(quote, ROUTED_POOL);
+  assert.equal(route.matchesPrimaryPool, true);
+  assert.deepEqual(route.labels, ["Meteora DLMM"]);
+});
+
+test("a route through another pool does not", () => {
+  assert.equal(
+    sellRoute(quote, "5HBUR6cnYTFABhn8nqwUfdBqn4bLqGUPVCNvD6qiWaZJ").matchesPrimaryPool,
+    false
+  );
+  assert.equal(sellRoute(quote, null).matchesPrimaryPool, false);
+  assert.equal(sellRoute({}, ROUTED_POOL).matchesPrimaryPool, false);
+});
+
+// Top holders of the recorded USDC scan + their token accounts as the RPC
+// returns them (jsonParsed)
+const fixture = (file) => JSON.parse(readFileSync(new URL(`../fixtures/${file}`, import.meta.url), "utf8"));
+const { topHolders } = fixture("scans/holders-ok.json").holderSummary;
+const tokenAccounts = new Map(
+  fixture("rpc/getProgramAccounts/TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA.json").map(
+    (a) => [a.pubkey, a.account]
+  )
+);
+// accounts for `holders`, with `edit(info)` applied to the listed ones
+// (an edit returning null closes the account)
+const accountsOf = (holders, edits = {}) =>
+  holders.map((h) => {
+    const account = structuredClone(tokenAccounts.get(h.address));
+    if (!edits[h.address]) return account;
+    const info = edits[h.address](account.data.parsed.info);
+    return info ? { ...account, data: { ...account.data, parsed: { ...account.data.parsed, info } } } : null;
+  });
+const unlabelled = topHolders.map((h) => ({ ...h, category: null }));
+const [, exchange, wallet, otherExchange, fifth, sixth] = topHolders.map((h) => h.address);
+
+test("pools and exchanges are never sell candidates", () => {
+  assert.deepEqual(
+    topHolders.map((h) => h.category),
+    ["amm-vault", "exchange", "wallet", "exchange", "wallet", "wallet"]
+  );
+  assert.deepEqual(sellerCandidates(topHolders).map((h) => h.address), [wallet, fifth, sixth]);
+});
+
+test("the seller is the first plain wallet that can sell as it stands", () => {
+  const candidates = sellerCandidates(unlabelled);
+  assert.equal(candidates.length, 5); // SELL_SIM_CANDIDATES
+
+  // the pool account's owner is a program PDA, so the exchange wallet is next
+  let { seller, frozen } = selectSellerAccount(candidates, accountsOf(candidates));
+  assert.equal(seller.tokenAccount, exchange);
+  assert.equal(seller.wallet, "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM");
+  assert.equal(frozen, 0);
+
+  ({ seller, frozen } = selectSellerAccount(
+    candidates,
+    accountsOf(candidates, {
+      [exchange]: (info) => ({ ...info, state: "frozen" }),
+      [wallet]: (info) => ({ ...info, delegate: "7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU" }),
+    })
+  ));
+  assert.equal(seller.tokenAccount, otherExchange);
+  assert.equal(frozen, 1);
+});
+
+test("closed, empty, frozen and delegated holders leave no seller, not a failed sell", () => {
+  const candidates = sellerCandidates(unlabelled);
+  const { seller, frozen } = selectSellerAccount(
+    candidates,
+    accountsOf(candidates, {
+      [exchange]: (info) => ({ ...info, state: "frozen" }),
+      [wallet]: (info) => ({ ...info, delegate: "7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU" }),
+      [otherExchange]: () => null,
+      [fifth]: (info) => ({ ...info, tokenAmount: { ...info.tokenAmount, amount: "0", uiAmount: 0 } }),
+    })
+  );
+  assert.equal(seller, null);
+  assert.equal(frozen, 1);
+});
@@ -0,0 +1,62 @@
+// test/store.test.js
+// Indexes kept in lib/store.js sets: the watchlist index and the alert
+// outbox must keep every id when many writers add at once.
+
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { beforeEach, test } from "node:test";
+import { deliver, retryPendingDeliveries } from "../lib/delivery.js";
+import { createKvDataStore, createMemoryDataStore, setDataStore } from "../lib/store.js";
+import { createWatchlist, rescanWatchlists } from "../lib/watchlist.js";
+
+beforeEach(() => setDataStore(createMemoryDataStore()));
+
+test("concurrently created watchlists all land in the index", async () => {
+  await Promise.all(Array.from({ length: 25 }, () => createWatchlist()));
+  const { lists } = await rescanWatchlists();
+  assert.equal(lists, 25);
+});
+
+test("concurrent failed deliveries all wait in the outbox", async (t) => {
+  process.env.GLASSBOX_ALERTS_ALLOW_HTTP = "1";
+  process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS = "1";
+  const server = createServer((req, res) => res.writeHead(503).end());
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.close();
+    delete process.env.GLASSBOX_ALERTS_ALLOW_HTTP;
+    delete process.env.GLASSBOX_ALLOW_PRIVATE_HOSTS;
+  });
+  const destination = { type: "discord", url: `http://127.0.0.1:${server.address().port}/hook` };
+
+  const sent = await Promise.all(
+    Array.from({ length: 10 }, (_, i) =>
+      deliver({ idempotencyKey: `test:outbox:${i}`, destination, text: "x", payload: {}, source: "test" })
+    )
+  );
+  assert.ok(sent.every((d) => d.status === "pending"));
+  const summary = await retryPendingDeliveries(); // backoff not over yet
+  assert.deepEqual(summary, { retried: 0, delivered: 0, failed: 0, pending: 10 });
+});
+
+test("of concurrent setIfAbsent calls exactly one wins", async () => {
+  const store = createMemoryDataStore();
+  const won = await Promise.all(Array.from({ length: 10 }, (_, i) => store.setIfAbsent("k", i)));
+  assert.equal(won.filter(Boolean).length, 1);
+  assert.equal(await store.get("k"), won.indexOf(true));
+});
+
+test("the KV store uses Redis set commands", async () => {
+  const calls = [];
+  const kv = {
+    async command(args) {
+      calls.push(args);
+      return args[0] === "SMEMBERS" ? ["a", "b"] : 1;
+    },
+  };
+  const store = createKvDataStore(kv);
+  await store.setAdd("k", "a");
+  await store.setRemove("k", "b");
+  assert.deepEqual(await store.setMembers("k"), ["a", "b"]);
+  assert.deepEqual(calls, [["SADD", "k", "a"], ["SREM", "k", "b"], ["SMEMBERS", "k"]]);
+});
@@ -0,0 +1,119 @@
+// test/telegram.test.js
+// Bot command parsing and flow (lib/telegram.js) on the updates in
+// fixtures/telegram/, and the webhook guard in api/telegram.js.
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { test } from "node:test";
+import handler from "../api/telegram.js";
+import { createMemoryDataStore, setDataStore } from "../lib/store.js";
+import { HELP_TEXT, handleTelegramUpdate, parseUpdate } from "../lib/telegram.js";
+
+const cases = JSON.parse(
+  readFileSync(new URL("../fixtures/telegram/updates.json", import.meta.url), "utf8")
+);
+const find = (name) => cases.find((c) => c.name === name).update;
+
+for (const { name, update, expect } of cases) {
+  test(`parseUpdate: ${name}`, () => {
+    const parsed = parseUpdate(update, { botUsername: "GlassboxBot" });
+    if (!expect) return assert.equal(parsed, null);
+    assert.deepEqual(
+      { command: parsed.command, mint: parsed.mint, inline: parsed.inline },
+      expect
+    );
+    const message = update.message || update.channel_post;
+    assert.equal(parsed.chatId, message.chat.id);
+    assert.equal(parsed.messageId, message.message_id);
+  });
+}
+
+function fakeDeps(scan) {
+  const calls = [];
+  return {
+    calls,
+    botUsername: "GlassboxBot",
+    scan: async (mint) => (calls.push(["scan", mint]), scan(mint)),
+    watch: async (chatId, mint) => calls.push(["watch", chatId, mint]),
+    unwatch: async (chatId, mint) => calls.push(["unwatch", chatId, mint]),
+    reply: async (chatId, fields) => calls.push(["reply", chatId, fields]),
+  };
+}
+
+const notAMint = () => {
+  const err = new Error("Not a valid SPL mint account");
+  err.status = 404;
+  throw err;
+};
+
+test("commands reply to the message they answer", async () => {
+  const deps = fakeDeps(notAMint);
+  await handleTelegramUpdate(find("/start is help"), deps);
+  await handleTelegramUpdate(find("/watch without a mint"), deps);
+  const [help, usage] = deps.calls;
+  assert.equal(help[2].text, HELP_TEXT);
+  assert.equal(help[2].reply_to_message_id, find("/start is help").message.message_id);
+  assert.equal(usage[2].text, "Usage: /watch <mint address>");
+});
+
+test("a pasted non-mint stays quiet, /scan of one says so", async () => {
+  const deps = fakeDeps(notAMint);
+  assert.equal(await handleTelegramUpdate(find("mint pasted in a group"), deps), null);
+  assert.deepEqual(deps.calls.map((c) => c[0]), ["scan"]);
+
+  const reply = await handleTelegramUpdate(find("private /scan"), deps);
+  assert.equal(reply.text, "That address is not an SPL token mint.");
+});
+
+test("the webhook needs its secret and handles each update_id once", async (t) => {
+  const sent = [];
+  const server = createServer((req, res) => {
+    sent.push(req.url);
+    res.end(JSON.stringify({ ok: true, result: {} }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const env = {
+    TELEGRAM_BOT_TOKEN: "123:abc",
+    TELEGRAM_API_URL: `http://127.0.0.1:${server.address().port}`,
+    GLASSBOX_PROVIDER: "mock",
+  };
+  Object.assign(process.env, env);
+  setDataStore(createMemoryDataStore());
+  t.after(() => {
+    server.close();
+    for (const key of [...Object.keys(env), "TELEGRAM_WEBHOOK_SECRET"]) delete process.env[key];
+  });
+
+  const call = async (headers, body) => {
+    const res = {
+      code: null,
+      body: null,
+      setHeader() {},
+      status(code) {
+        this.code = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    await handler({ method: "POST", headers, query: {}, body }, res);
+    return res;
+  };
+  const update = find("/start is help");
+
+  assert.equal((await call({}, update)).code, 500);
+
+  process.env.TELEGRAM_WEBHOOK_SECRET = "hook-secret";
+  assert.equal((await call({}, update)).code, 401);
+  assert.equal((await call({ "x-telegram-bot-api-secret-token": "wrong" }, update)).code, 401);
+
+  const headers = { "x-telegram-bot-api-secret-token": "hook-secret" };
+  const first = await call(headers, update);
+  const resent = await call(headers, update);
+  assert.deepEqual(first.body, { ok: true });
+  assert.deepEqual(resent.body, { ok: true, duplicate: true });
+  assert.deepEqual(sent, ["/bot123:abc/sendMessage"]);
+});